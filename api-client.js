@@ -0,0 +1,245 @@
+// Request layer for the Stock Return Inference API: per-endpoint timeouts,
+// retries with exponential backoff, cancellation and typed errors.
+//
+// Every endpoint the app calls (/recent, /infer, /metrics, /catalog) only
+// reads, so all of them are safe to retry. Retries happen on network errors,
+// timeouts, 429 and 5xx answers; 4xx answers are final.
+//
+// Errors thrown by apiRequest() are ApiError subclasses with a `kind`:
+//   "network" | "timeout" | "auth" | "validation" | "server" | "http" | "cancelled"
+// plus `status` (HTTP status or 0) and `path`; "schema" errors for malformed
+// answers come from api-schemas.js. FastAPI `detail` payloads, including 422
+// lists of { loc, msg }, become the error message.
+
+const API_ENDPOINT_POLICIES = {
+  "/recent": { timeoutMs: 15000, retries: 2, idempotent: true },
+  "/infer": { timeoutMs: 30000, retries: 1, idempotent: true },
+  "/metrics": { timeoutMs: 10000, retries: 2, idempotent: true },
+  "/catalog": { timeoutMs: 8000, retries: 1, idempotent: true },
+};
+const API_DEFAULT_POLICY = { timeoutMs: 15000, retries: 0, idempotent: false };
+const API_BACKOFF_BASE_MS = 500;
+const API_BACKOFF_MAX_MS = 4000;
+const API_RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// ------------------------
+// Errors
+// ------------------------
+class ApiError extends Error {
+  constructor(message, options) {
+    super(message);
+    const opts = options || {};
+    this.name = "ApiError";
+    this.kind = opts.kind || "http";
+    this.status = opts.status || 0;
+    this.path = opts.path || "";
+    this.detail = opts.detail;
+  }
+}
+
+class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, kind: "network" });
+    this.name = "NetworkError";
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, kind: "timeout" });
+    this.name = "TimeoutError";
+  }
+}
+
+class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, kind: "auth" });
+    this.name = "AuthError";
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, kind: "validation" });
+    this.name = "ValidationError";
+  }
+}
+
+class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, kind: "server" });
+    this.name = "ServerError";
+  }
+}
+
+class CancelledError extends ApiError {
+  constructor(message, options) {
+    super(message || "Request cancelled.", { ...options, kind: "cancelled" });
+    this.name = "CancelledError";
+  }
+}
+
+function isCancellation(err) {
+  return err instanceof CancelledError || (err && err.name === "AbortError");
+}
+
+// FastAPI: { detail: "text" } or { detail: [{ loc: ["body", "n_days"], msg }] }
+function formatApiDetail(payload) {
+  const detail = payload && typeof payload === "object" ? payload.detail : payload;
+  if (Array.isArray(detail)) {
+    return detail
+      .map((d) => {
+        const loc = Array.isArray(d.loc) ? d.loc.filter((p) => p !== "body").join(".") : "";
+        return loc ? `${loc}: ${d.msg}` : String(d.msg || d);
+      })
+      .join("; ");
+  }
+  if (typeof detail === "string" && detail.trim()) return detail.trim();
+  return "";
+}
+
+function apiErrorFromResponse(status, payload, path) {
+  const detail = formatApiDetail(payload);
+  const opts = { status, path, detail: payload && payload.detail };
+  if (status === 401 || status === 403) {
+    return new AuthError(detail || "The API rejected the credentials. Check the API key in API Settings.", opts);
+  }
+  if (status === 400 || status === 404 || status === 422) {
+    return new ValidationError(detail || `The API rejected the request (HTTP ${status}).`, opts);
+  }
+  if (status >= 500) {
+    return new ServerError(detail || `The API failed to answer (HTTP ${status}).`, opts);
+  }
+  return new ApiError(detail || `Request failed (HTTP ${status}).`, opts);
+}
+
+// ------------------------
+// Cancellation
+// ------------------------
+// Runs that replace each other share a channel ("chart", "watchlist"): starting
+// a new run aborts the requests of the previous one.
+const requestChannels = new Map(); // channel -> AbortController
+
+function supersedeRequests(channel) {
+  const previous = requestChannels.get(channel);
+  if (previous) previous.abort();
+  const controller = new AbortController();
+  requestChannels.set(channel, controller);
+  return controller.signal;
+}
+
+function cancelRequests(channel) {
+  const controller = requestChannels.get(channel);
+  if (controller) controller.abort();
+  requestChannels.delete(channel);
+}
+
+// Release the channel when `signal`'s run ends. Returns false when a newer run
+// has taken over the channel (that run now owns shared UI such as the loader).
+function finishRequests(channel, signal) {
+  const current = requestChannels.get(channel);
+  if (current && current.signal !== signal) return false;
+  requestChannels.delete(channel);
+  return true;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw new CancelledError();
+}
+
+// ------------------------
+// Requests
+// ------------------------
+function apiSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new CancelledError());
+      }, { once: true });
+    }
+  });
+}
+
+function backoffDelay(attempt, retryAfter) {
+  const seconds = retryAfter === null || retryAfter === undefined || retryAfter === "" ? NaN : Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, API_BACKOFF_MAX_MS);
+  const exp = Math.min(API_BACKOFF_BASE_MS * 2 ** attempt, API_BACKOFF_MAX_MS);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+async function readPayload(resp) {
+  const ct = resp.headers.get("content-type") || "";
+  return ct.includes("application/json") ? resp.json() : resp.text();
+}
+
+// One attempt: the timeout covers the whole round trip, body included.
+async function apiAttempt(url, init, path, timeoutMs, signal, transport) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const resp = await transport(url, { ...init, signal: controller.signal });
+    const payload = await readPayload(resp);
+    if (!resp.ok) {
+      const err = apiErrorFromResponse(resp.status, payload, path);
+      err.retryAfter = resp.headers.get("retry-after");
+      throw err;
+    }
+    return payload;
+  } catch (e) {
+    if (e instanceof ApiError) throw e;
+    if (e instanceof SyntaxError) throw new ServerError(`${path} answered with invalid JSON.`, { path });
+    if (signal && signal.aborted) throw new CancelledError(undefined, { path });
+    if (timedOut) {
+      const limit = timeoutMs < 1000 ? `${timeoutMs} ms` : `${Math.round(timeoutMs / 1000)} s`;
+      throw new TimeoutError(`${path} did not answer within ${limit}.`, { path });
+    }
+    throw new NetworkError(`Could not reach the API (${e.message}).`, { path });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
+function isRetryable(err) {
+  if (err instanceof NetworkError || err instanceof TimeoutError) return true;
+  return API_RETRYABLE_STATUS.includes(err.status);
+}
+
+// options: { signal, timeoutMs, retries, transport, headers }
+async function apiRequest(base, path, body, options) {
+  const opts = options || {};
+  const policy = { ...API_DEFAULT_POLICY, ...(API_ENDPOINT_POLICIES[path] || {}) };
+  const timeoutMs = opts.timeoutMs || policy.timeoutMs;
+  const retries = policy.idempotent ? (opts.retries !== undefined ? opts.retries : policy.retries) : 0;
+  const transport = opts.transport || fetch;
+  const init = {
+    method: "POST",
+    headers: opts.headers || { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfCancelled(opts.signal);
+    try {
+      return await apiAttempt(`${base}${path}`, init, path, timeoutMs, opts.signal, transport);
+    } catch (e) {
+      if (isCancellation(e) || attempt >= retries || !isRetryable(e)) throw e;
+      const delay = backoffDelay(attempt, e.retryAfter);
+      console.warn(`${path}: ${e.message} Retrying in ${Math.round(delay)} ms (${attempt + 1}/${retries}).`);
+      await apiSleep(delay, opts.signal);
+    }
+  }
+}
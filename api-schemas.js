@@ -0,0 +1,205 @@
+// Response schemas for /recent, /infer, /metrics and /catalog. Every answer is
+// checked here before it is cached or drawn; a bad answer throws a SchemaError
+// naming the offending field, e.g. `/recent: close[12] must be a positive number (got "NaN")`.
+//
+// Validators return a normalized copy: numeric strings become numbers, so the
+// rest of the app can rely on the types below.
+//
+//   /recent  { dates: ISO date[] (ascending, unique), close: number[] (> 0, same
+//              length as dates), returns?: (number | null)[], return_type?: string,
+//              open?, high?, low?: number[] (> 0, low <= open/close <= high),
+//              volume?: number[] (>= 0); the optional arrays match dates too }
+//   /infer   { pred_prices: number[] (> 0, non-empty), last_close?: number (> 0),
+//              quantiles?: { "<level in (0, 1)>": number[] (> 0, one per pred_price) } }
+//   /metrics { results: [{ scenario: string, model_type: string, DA: number (0..100) }] }
+//   /catalog { tickers: (string | { ticker, name? })[] (non-empty), scenarios: string[],
+//              models: string[], unsupported?: [{ scenario, model_type, reason? }] }
+//            tickers are normalized to { ticker, name }
+//
+// /recent returns can be rebuilt from the closes, so a bad `returns` never
+// fails the response: unusable entries become null, a non-array is dropped.
+
+class SchemaError extends ApiError {
+  constructor(path, field, problem, value) {
+    const got = value === undefined ? "" : ` (got ${describeValue(value)})`;
+    super(`${path}: ${field} ${problem}${got}.`, { kind: "schema", path });
+    this.name = "SchemaError";
+    this.field = field;
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return `an array of ${value.length}`;
+  if (typeof value === "object") return "an object";
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}..."` : text;
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function schemaObject(path, payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new SchemaError(path, "response body", "must be a JSON object", payload);
+  }
+}
+
+function schemaArray(path, field, value, { required = true, nonEmpty = false } = {}) {
+  if (value === undefined && !required) return null;
+  if (!Array.isArray(value)) throw new SchemaError(path, field, "must be an array", value);
+  if (nonEmpty && !value.length) throw new SchemaError(path, field, "must not be empty");
+  return value;
+}
+
+function schemaNumber(path, field, value, { positive = false, min, max } = {}) {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) throw new SchemaError(path, field, "must be a number", value);
+  if (positive && n <= 0) throw new SchemaError(path, field, "must be a positive number", value);
+  if (min !== undefined && n < min) throw new SchemaError(path, field, `must be at least ${min}`, value);
+  if (max !== undefined && n > max) throw new SchemaError(path, field, `must be at most ${max}`, value);
+  return n;
+}
+
+// A finite number (numeric strings converted), else null.
+function schemaNumberOrNull(value) {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+function schemaString(path, field, value) {
+  if (typeof value !== "string" || !value.trim()) throw new SchemaError(path, field, "must be a non-empty string", value);
+  return value;
+}
+
+function validateRecentResponse(payload) {
+  const path = "/recent";
+  schemaObject(path, payload);
+  const dates = schemaArray(path, "dates", payload.dates);
+  const close = schemaArray(path, "close", payload.close);
+  if (dates.length !== close.length) {
+    throw new SchemaError(path, "dates/close", `must have the same length (${dates.length} dates, ${close.length} closes)`);
+  }
+
+  dates.forEach((d, i) => {
+    if (typeof d !== "string" || !ISO_DATE_RE.test(d)) {
+      throw new SchemaError(path, `dates[${i}]`, "must be a YYYY-MM-DD date", d);
+    }
+    if (i && d <= dates[i - 1]) throw new SchemaError(path, `dates[${i}]`, `must come after ${dates[i - 1]}`, d);
+  });
+
+  const out = {
+    ...payload,
+    dates: dates.slice(),
+    close: close.map((v, i) => schemaNumber(path, `close[${i}]`, v, { positive: true })),
+  };
+  if (Array.isArray(payload.returns)) out.returns = payload.returns.map(schemaNumberOrNull);
+  else delete out.returns;
+  ["open", "high", "low", "volume"].forEach((name) => {
+    const values = schemaArray(path, name, payload[name], { required: false });
+    if (!values) return;
+    if (values.length !== dates.length) {
+      throw new SchemaError(path, name, `must have one value per date (${dates.length})`, values);
+    }
+    const rule = name === "volume" ? { min: 0 } : { positive: true };
+    out[name] = values.map((v, i) => schemaNumber(path, `${name}[${i}]`, v, rule));
+  });
+  if (out.open && out.high && out.low) {
+    out.close.forEach((c, i) => {
+      const hi = out.high[i];
+      const lo = out.low[i];
+      if (lo > Math.min(out.open[i], c)) throw new SchemaError(path, `low[${i}]`, "must not exceed the open or close", lo);
+      if (hi < Math.max(out.open[i], c)) throw new SchemaError(path, `high[${i}]`, "must not be below the open or close", hi);
+    });
+  }
+  return out;
+}
+
+function validateInferResponse(payload) {
+  const path = "/infer";
+  schemaObject(path, payload);
+  const preds = schemaArray(path, "pred_prices", payload.pred_prices, { nonEmpty: true });
+  const out = {
+    ...payload,
+    pred_prices: preds.map((v, i) => schemaNumber(path, `pred_prices[${i}]`, v, { positive: true })),
+  };
+  if (payload.last_close !== undefined && payload.last_close !== null) {
+    out.last_close = schemaNumber(path, "last_close", payload.last_close, { positive: true });
+  }
+  if (payload.quantiles !== undefined && payload.quantiles !== null) {
+    out.quantiles = validateQuantiles(path, payload.quantiles, preds.length);
+  }
+  return out;
+}
+
+function validateQuantiles(path, quantiles, horizon) {
+  if (typeof quantiles !== "object" || Array.isArray(quantiles)) {
+    throw new SchemaError(path, "quantiles", "must be an object keyed by quantile level", quantiles);
+  }
+  const out = {};
+  Object.entries(quantiles).forEach(([level, values]) => {
+    const q = Number(level);
+    if (!(q > 0 && q < 1)) throw new SchemaError(path, `quantiles["${level}"]`, "must be keyed by a level between 0 and 1");
+    const field = `quantiles["${level}"]`;
+    const list = schemaArray(path, field, values);
+    if (list.length !== horizon) {
+      throw new SchemaError(path, field, `must have one value per pred_price (${horizon})`, list);
+    }
+    out[String(q)] = list.map((v, i) => schemaNumber(path, `${field}[${i}]`, v, { positive: true }));
+  });
+  return out;
+}
+
+function validateMetricsResponse(payload) {
+  const path = "/metrics";
+  schemaObject(path, payload);
+  const results = schemaArray(path, "results", payload.results);
+  return {
+    ...payload,
+    results: results.map((r, i) => {
+      if (!r || typeof r !== "object") throw new SchemaError(path, `results[${i}]`, "must be an object", r);
+      return {
+        ...r,
+        scenario: schemaString(path, `results[${i}].scenario`, r.scenario),
+        model_type: schemaString(path, `results[${i}].model_type`, r.model_type),
+        DA: schemaNumber(path, `results[${i}].DA`, r.DA, { min: 0, max: 100 }),
+      };
+    }),
+  };
+}
+
+function validateCatalogResponse(payload) {
+  const path = "/catalog";
+  schemaObject(path, payload);
+  const names = (field) => schemaArray(path, field, payload[field], { nonEmpty: true })
+    .map((v, i) => schemaString(path, `${field}[${i}]`, v));
+
+  const tickers = schemaArray(path, "tickers", payload.tickers, { nonEmpty: true }).map((t, i) => {
+    if (typeof t === "string") return { ticker: schemaString(path, `tickers[${i}]`, t).toUpperCase(), name: "" };
+    if (!t || typeof t !== "object") throw new SchemaError(path, `tickers[${i}]`, "must be a string or an object", t);
+    return {
+      ticker: schemaString(path, `tickers[${i}].ticker`, t.ticker).toUpperCase(),
+      name: typeof t.name === "string" ? t.name : "",
+    };
+  });
+  const unsupported = (schemaArray(path, "unsupported", payload.unsupported, { required: false }) || []).map((u, i) => {
+    if (!u || typeof u !== "object") throw new SchemaError(path, `unsupported[${i}]`, "must be an object", u);
+    return {
+      scenario: schemaString(path, `unsupported[${i}].scenario`, u.scenario),
+      model_type: schemaString(path, `unsupported[${i}].model_type`, u.model_type),
+      reason: typeof u.reason === "string" ? u.reason : "",
+    };
+  });
+  return { ...payload, tickers, scenarios: names("scenarios"), models: names("models"), unsupported };
+}
+
+const API_RESPONSE_VALIDATORS = {
+  "/recent": validateRecentResponse,
+  "/infer": validateInferResponse,
+  "/metrics": validateMetricsResponse,
+  "/catalog": validateCatalogResponse,
+};
+
+function validateResponse(path, payload) {
+  const validator = API_RESPONSE_VALIDATORS[path];
+  return validator ? validator(payload) : payload;
+}
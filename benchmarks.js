@@ -0,0 +1,67 @@
+// Naive benchmark forecasts computed from a close series: what a model has to
+// beat to be worth anything. Every forecaster takes the closes up to the
+// forecast origin and returns `horizon` prices.
+//
+//   randomWalkForecast     every step is the last close
+//   driftForecast          last close + step × average change over the closes
+//   movingAverageForecast  each step is the mean of the previous `period`
+//                          values, earlier forecast steps included
+//   benchmarkHitRates      in-window pseudo-backtest: directional hit rate of
+//                          each benchmark's one-step forecast from every origin
+
+const BENCHMARK_KINDS = ["randomWalk", "drift", "movingAverage"];
+
+function randomWalkForecast(closes, horizon) {
+  return new Array(horizon).fill(closes[closes.length - 1]);
+}
+
+function driftForecast(closes, horizon) {
+  const n = closes.length;
+  const slope = n > 1 ? (closes[n - 1] - closes[0]) / (n - 1) : 0;
+  return Array.from({ length: horizon }, (_, i) => closes[n - 1] + slope * (i + 1));
+}
+
+function movingAverageForecast(closes, horizon, period) {
+  const values = closes.slice(-period);
+  const out = [];
+  for (let i = 0; i < horizon; i++) {
+    const window = values.slice(-period);
+    const next = window.reduce((a, b) => a + b, 0) / window.length;
+    out.push(next);
+    values.push(next);
+  }
+  return out;
+}
+
+function benchmarkForecast(kind, closes, horizon, period) {
+  if (kind === "drift") return driftForecast(closes, horizon);
+  if (kind === "movingAverage") return movingAverageForecast(closes, horizon, period);
+  return randomWalkForecast(closes, horizon);
+}
+
+// A hit is the journal's rule: the forecast and the realized close move the
+// same way from the origin close (Math.sign on both sides, so a flat session
+// matches neither UP nor DOWN). A flat forecast makes no call and isn't scored
+// (the random walk never calls, so its rate is null). All benchmarks are
+// scored from the same origins (the first one with `period` closes behind
+// it), so their rates compare.
+// -> { [kind]: { hits, calls, total (origins), rate (0..100 | null) } }
+function benchmarkHitRates(closes, period) {
+  const first = Math.max(period, 2) - 1;
+  const out = {};
+  BENCHMARK_KINDS.forEach((kind) => {
+    let hits = 0;
+    let calls = 0;
+    let total = 0;
+    for (let t = first; t < closes.length - 1; t++) {
+      const history = closes.slice(0, t + 1);
+      const next = benchmarkForecast(kind, history, 1, period)[0];
+      total++;
+      if (next === closes[t]) continue;
+      calls++;
+      if (Math.sign(next - closes[t]) === Math.sign(closes[t + 1] - closes[t])) hits++;
+    }
+    out[kind] = { hits, calls, total, rate: calls ? (hits / calls) * 100 : null };
+  });
+  return out;
+}
@@ -0,0 +1,89 @@
+// Technical indicators computed from a close series. Every function returns an
+// array aligned with `values`; entries are null until enough points exist.
+//
+//   smaSeries        simple moving average
+//   emaSeries        exponential moving average, seeded with the first SMA
+//   bollingerSeries  { mid, upper, lower }: SMA ± mult × population std dev
+//   rsiSeries        Wilder's RSI (0..100)
+//   macdSeries       { macd, signal, hist }: EMA(fast) − EMA(slow), EMA(signal) of that
+
+function smaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  });
+  return out;
+}
+
+function emaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = ema;
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+}
+
+function bollingerSeries(values, period, mult) {
+  const mid = smaSeries(values, period);
+  return mid.map((m, i) => {
+    if (m === null) return null;
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((acc, v) => acc + (v - m) ** 2, 0) / period;
+    const sd = Math.sqrt(variance);
+    return { mid: m, upper: m + mult * sd, lower: m - mult * sd };
+  });
+}
+
+function rsiSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  gain /= period;
+  loss /= period;
+  const rsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = rsi();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(d, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-d, 0)) / period;
+    out[i] = rsi();
+  }
+  return out;
+}
+
+function macdSeries(values, fast, slow, signal) {
+  const fastEma = emaSeries(values, fast);
+  const slowEma = emaSeries(values, slow);
+  const macd = values.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+
+  // signal line runs over the defined part of the MACD line only
+  const first = macd.findIndex((v) => v !== null);
+  const signalLine = new Array(values.length).fill(null);
+  if (first >= 0) {
+    emaSeries(macd.slice(first), signal).forEach((v, i) => {
+      signalLine[first + i] = v;
+    });
+  }
+
+  return macd.map((m, i) => (m === null ? null : {
+    macd: m,
+    signal: signalLine[i],
+    hist: signalLine[i] === null ? null : m - signalLine[i],
+  }));
+}
@@ -0,0 +1,365 @@
+// Offline mock of the FastAPI Stock Return Inference API.
+// Serves POST /recent, /infer, /metrics and /catalog from deterministic fixtures
+// so the frontend can be developed and demoed without the backend running.
+// Fixture dates follow the IDX calendar and prices its tick sizes, so
+// trading-calendar.js and position-sizing.js load first.
+//
+// URL flags (app.html?mock=1&...):
+//   mock=1                     -> route every request through the mock transport
+//   mock_latency=<ms>          -> simulated round-trip time (default 350)
+//   mock_error=<path>:<kind>   -> inject failures, comma separated. <kind> is an
+//                                 HTTP status or "network", e.g.
+//                                 mock_error=infer:500,metrics:network
+//
+// The same settings can be changed at runtime from the console through
+// `configureMockBackend({ latencyMs, errors })`.
+
+const MOCK_API_BASE = "mock://api";
+
+// volume: typical shares traded per session
+const MOCK_TICKERS = {
+  BBCA: { name: "Bank Central Asia", start: 8800, drift: 0.0003, vol: 0.012, volume: 80e6 },
+  BBRI: { name: "Bank Rakyat Indonesia", start: 4700, drift: -0.0001, vol: 0.018, volume: 180e6 },
+  BMRI: { name: "Bank Mandiri", start: 3400, drift: 0, vol: 0.016, volume: 110e6 },
+  BBNI: { name: "Bank Negara Indonesia", start: 4900, drift: 0.0001, vol: 0.017, volume: 60e6 },
+};
+const MOCK_SCENARIOS = ["baseline", "simple", "weighted", "majority"];
+const MOCK_MODELS = ["LSTM", "TCN", "SGA_LSTM"];
+const MOCK_HORIZON = 5;
+const MOCK_HISTORY_DAYS = 300;
+const MOCK_LAST_DATE = "2025-10-17";
+
+const mockConfig = {
+  enabled: false,
+  latencyMs: 350,
+  errors: {}, // path -> HTTP status (number) | "network"
+};
+
+const mockHistoryCache = new Map(); // ticker -> { dates, close }
+
+// ------------------------
+// Deterministic helpers
+// ------------------------
+function mockHash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small seeded PRNG returning floats in [0, 1)
+function mockRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mockGaussian(rand) {
+  const u = Math.max(rand(), 1e-12);
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function mockRoundToTick(price) {
+  const tick = idxTickSize(price);
+  return Math.round(price / tick) * tick;
+}
+
+// ------------------------
+// Fixtures
+// ------------------------
+function mockHistory(ticker) {
+  if (mockHistoryCache.has(ticker)) return mockHistoryCache.get(ticker);
+
+  const cfg = MOCK_TICKERS[ticker];
+  const rand = mockRandom(mockHash(`history:${ticker}`));
+
+  const dates = [];
+  let d = MOCK_LAST_DATE;
+  while (dates.length < MOCK_HISTORY_DAYS + 1) {
+    if (isTradingDay(d)) dates.push(d);
+    d = addDaysISO(d, -1);
+  }
+  dates.reverse();
+
+  const close = [];
+  let price = cfg.start;
+  dates.forEach(() => {
+    price *= Math.exp(cfg.drift + cfg.vol * mockGaussian(rand));
+    close.push(mockRoundToTick(price));
+  });
+
+  // open/high/low/volume come from their own stream so the closes stay put
+  const ohlcRand = mockRandom(mockHash(`ohlc:${ticker}`));
+  const open = [];
+  const high = [];
+  const low = [];
+  const volume = [];
+  close.forEach((c, i) => {
+    const prev = i ? close[i - 1] : c;
+    const o = mockRoundToTick(prev * Math.exp(0.3 * cfg.vol * mockGaussian(ohlcRand)));
+    const range = Math.abs(mockGaussian(ohlcRand)) * 0.5 * cfg.vol;
+    open.push(o);
+    high.push(mockRoundToTick(Math.max(o, c) * Math.exp(range * ohlcRand())));
+    low.push(mockRoundToTick(Math.min(o, c) * Math.exp(-range * ohlcRand())));
+    // busier sessions on bigger moves
+    const move = Math.abs(Math.log(c / prev)) / cfg.vol;
+    volume.push(Math.round(cfg.volume * (0.6 + 0.4 * move) * Math.exp(0.3 * mockGaussian(ohlcRand)) / 100) * 100);
+  });
+
+  const history = { dates, open, high, low, close, volume };
+  mockHistoryCache.set(ticker, history);
+  return history;
+}
+
+// Price-error metrics (IDR) some backends send next to DA.
+function mockErrorMetrics(ticker, scenario, model) {
+  const rand = mockRandom(mockHash(`err:${ticker}:${scenario}:${model}`));
+  const scale = MOCK_TICKERS[ticker].start * MOCK_TICKERS[ticker].vol;
+  const mae = scale * (0.8 + rand() * 0.6);
+  return { RMSE: Math.round(mae * (1.2 + rand() * 0.2) * 100) / 100, MAE: Math.round(mae * 100) / 100 };
+}
+
+function mockDA(ticker, scenario, model) {
+  const rand = mockRandom(mockHash(`da:${ticker}:${scenario}:${model}`));
+  return Math.round((46 + rand() * 20) * 100) / 100;
+}
+
+function mockCombinations() {
+  const out = [];
+  MOCK_SCENARIOS.forEach((scenario) => {
+    MOCK_MODELS.forEach((model) => {
+      if (scenario === "baseline" && model === "SGA_LSTM") return;
+      out.push({ scenario, model });
+    });
+  });
+  return out;
+}
+
+// ------------------------
+// Endpoint handlers (return [status, payload])
+// ------------------------
+function mockRequireTicker(body) {
+  if (!body || !MOCK_TICKERS[body.ticker]) {
+    return [404, { detail: `Unknown ticker: ${body && body.ticker}` }];
+  }
+  return null;
+}
+
+function mockRequireScenarioModel(scenario, model) {
+  if (scenario != null && !MOCK_SCENARIOS.includes(scenario)) {
+    return [422, { detail: `Unknown scenario: ${scenario}` }];
+  }
+  if (model != null && !MOCK_MODELS.includes(model)) {
+    return [422, { detail: `Unknown model_type: ${model}` }];
+  }
+  if (scenario === "baseline" && model === "SGA_LSTM") {
+    return [422, { detail: "SGA_LSTM is not available for the baseline scenario." }];
+  }
+  return null;
+}
+
+function mockRecent(body) {
+  const bad = mockRequireTicker(body) || mockRequireScenarioModel(body.scenario, null);
+  if (bad) return bad;
+
+  const n = Number(body.n_days);
+  if (!Number.isInteger(n) || n < 1 || n > MOCK_HISTORY_DAYS) {
+    return [422, { detail: `n_days must be an integer between 1 and ${MOCK_HISTORY_DAYS}.` }];
+  }
+  const returnType = body.return_type === "simple" ? "simple" : "log";
+
+  const hist = mockHistory(body.ticker);
+  const start = hist.close.length - n;
+  const returns = [];
+  for (let i = start; i < hist.close.length; i++) {
+    const r = hist.close[i] / hist.close[i - 1];
+    returns.push(returnType === "log" ? Math.log(r) : r - 1);
+  }
+
+  return [200, {
+    ticker: body.ticker,
+    scenario: body.scenario,
+    n_days: n,
+    return_type: returnType,
+    dates: hist.dates.slice(start),
+    open: hist.open.slice(start),
+    high: hist.high.slice(start),
+    low: hist.low.slice(start),
+    close: hist.close.slice(start),
+    volume: hist.volume.slice(start),
+    returns,
+  }];
+}
+
+function mockInfer(body) {
+  const bad = mockRequireTicker(body) || mockRequireScenarioModel(body.scenario, body.model_type);
+  if (bad) return bad;
+  if (body.model_type == null) return [422, { detail: "model_type: field required" }];
+
+  const cfg = MOCK_TICKERS[body.ticker];
+  const hist = mockHistory(body.ticker);
+  const lastClose = hist.close[hist.close.length - 1];
+  const rand = mockRandom(mockHash(`infer:${body.ticker}:${body.scenario}:${body.model_type}`));
+  const bias = (rand() - 0.5) * cfg.vol;
+
+  const pred_prices = [];
+  let price = lastClose;
+  for (let i = 0; i < MOCK_HORIZON; i++) {
+    price *= Math.exp(bias + 0.5 * cfg.vol * mockGaussian(rand));
+    pred_prices.push(Math.round(price * 100) / 100);
+  }
+
+  const payload = {
+    ticker: body.ticker,
+    scenario: body.scenario,
+    model_type: body.model_type,
+    last_close: lastClose,
+    pred_prices,
+  };
+  // TCN answers also carry 10%/90% quantiles, so both band sources can be seen
+  if (body.model_type === "TCN") {
+    const round = (v) => Math.round(v * 100) / 100;
+    payload.quantiles = {
+      "0.1": pred_prices.map((p, i) => round(p * Math.exp(-1.2816 * cfg.vol * 0.8 * Math.sqrt(i + 1)))),
+      "0.9": pred_prices.map((p, i) => round(p * Math.exp(1.2816 * cfg.vol * 0.8 * Math.sqrt(i + 1)))),
+    };
+  }
+  return [200, payload];
+}
+
+function mockMetrics(body) {
+  const bad = mockRequireTicker(body) || mockRequireScenarioModel(body.scenario, body.model_type);
+  if (bad) return bad;
+
+  const results = mockCombinations()
+    .filter((c) => !body.scenario || c.scenario === body.scenario)
+    .filter((c) => !body.model_type || c.model === body.model_type)
+    .map((c) => ({
+      ticker: body.ticker,
+      scenario: c.scenario,
+      model_type: c.model,
+      DA: mockDA(body.ticker, c.scenario, c.model),
+      ...mockErrorMetrics(body.ticker, c.scenario, c.model),
+    }));
+
+  return [200, { ticker: body.ticker, results }];
+}
+
+function mockCatalog() {
+  return [200, {
+    tickers: Object.entries(MOCK_TICKERS).map(([ticker, cfg]) => ({ ticker, name: cfg.name })),
+    scenarios: MOCK_SCENARIOS,
+    models: MOCK_MODELS,
+    unsupported: [
+      { scenario: "baseline", model_type: "SGA_LSTM", reason: "The baseline method has no sentiment input, which SGA_LSTM requires." },
+    ],
+  }];
+}
+
+const MOCK_ROUTES = {
+  "/recent": mockRecent,
+  "/infer": mockInfer,
+  "/metrics": mockMetrics,
+  "/catalog": mockCatalog,
+};
+
+// ------------------------
+// Transport
+// ------------------------
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new DOMException("The operation was aborted.", "AbortError"));
+      }, { once: true });
+    }
+  });
+}
+
+function mockJSONResponse(status, payload) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// fetch()-compatible entry point used by postJSON() in mock mode.
+async function mockFetch(url, init) {
+  const opts = init || {};
+  const path = String(url).replace(MOCK_API_BASE, "").split("?")[0];
+
+  await mockDelay(mockConfig.latencyMs, opts.signal);
+
+  const injected = mockConfig.errors[path];
+  if (injected === "network") throw new TypeError("Failed to fetch (mock network error)");
+  if (injected) return mockJSONResponse(injected, { detail: `Injected mock error (${injected}) for ${path}` });
+
+  const handler = MOCK_ROUTES[path];
+  if (!handler || (opts.method || "GET").toUpperCase() !== "POST") {
+    return mockJSONResponse(404, { detail: "Not Found" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(opts.body || "{}");
+  } catch (e) {
+    return mockJSONResponse(422, { detail: "Request body is not valid JSON." });
+  }
+
+  const [status, payload] = handler(body);
+  return mockJSONResponse(status, payload);
+}
+
+function parseMockErrors(spec) {
+  const errors = {};
+  String(spec || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [rawPath, kind] = entry.split(":");
+      const path = `/${rawPath.replace(/^\/+/, "")}`;
+      errors[path] = kind === "network" ? "network" : Number(kind) || 500;
+    });
+  return errors;
+}
+
+function configureMockBackend(options) {
+  const opts = options || {};
+  if (typeof opts.enabled === "boolean") mockConfig.enabled = opts.enabled;
+  if (Number.isFinite(opts.latencyMs) && opts.latencyMs >= 0) mockConfig.latencyMs = opts.latencyMs;
+  if (opts.errors) {
+    mockConfig.errors = typeof opts.errors === "string" ? parseMockErrors(opts.errors) : { ...opts.errors };
+  }
+  return { ...mockConfig, errors: { ...mockConfig.errors } };
+}
+
+function isMockMode() {
+  return mockConfig.enabled;
+}
+
+(function initMockFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const flag = params.get("mock");
+  if (!flag || flag === "0" || flag === "false") return;
+
+  configureMockBackend({
+    enabled: true,
+    latencyMs: params.has("mock_latency") ? Number(params.get("mock_latency")) : undefined,
+    errors: params.get("mock_error") || undefined,
+  });
+})();
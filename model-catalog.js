@@ -0,0 +1,143 @@
+// Which tickers, methods (scenarios) and models the backend serves, and which
+// method / model combinations exist. Nothing here is hard-coded: the catalog
+// comes from, in order of preference,
+//   1. POST /catalog  { tickers, scenarios, models, unsupported? }
+//   2. the /metrics rows of every ticker (a combination exists when some
+//      ticker has a backtest row for it). The tickers asked about are the
+//      current ones plus those of the last /catalog answer from the same API
+//      base (kept in localStorage), so a /catalog outage drops none of them.
+//   3. the options app.html ships with (no combination rules)
+//
+// modelCatalog:
+//   { source: "catalog" | "metrics" | "page",
+//     tickers: [{ ticker, name }], scenarios: string[], models: string[],
+//     unsupported: Map("scenario/model" -> reason) }
+
+const modelCatalog = {
+  source: "page",
+  tickers: [],
+  scenarios: [],
+  models: [],
+  unsupported: new Map(),
+};
+
+function comboKey(scenario, model) {
+  return `${scenario}/${model}`;
+}
+
+function isCombinationAllowed(scenario, model) {
+  return !modelCatalog.unsupported.has(comboKey(scenario, model));
+}
+
+// Why a combination is unavailable ("" when it is available).
+function combinationReason(scenario, model) {
+  return modelCatalog.unsupported.get(comboKey(scenario, model)) || "";
+}
+
+const CATALOG_STORAGE_KEY = "prethesis.catalog";
+
+// Last good /catalog lists per API base: { [base]: { tickers, scenarios, models } }
+function saveLastCatalog(apiBase, catalog) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY) || "null") || {};
+    saved[apiBase] = { tickers: catalog.tickers, scenarios: catalog.scenarios, models: catalog.models };
+    localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn("Could not save the model catalog:", e);
+  }
+}
+
+function loadLastCatalog(apiBase) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY) || "null");
+    const last = saved && saved[apiBase];
+    return last && Array.isArray(last.tickers) ? last : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Tickers of both lists, `current` first; a name from either is kept.
+function mergeCatalogTickers(current, extra) {
+  const byTicker = new Map(current.map((t) => [t.ticker, { ...t }]));
+  extra.forEach((t) => {
+    const known = byTicker.get(t.ticker);
+    if (!known) byTicker.set(t.ticker, { ticker: t.ticker, name: t.name || "" });
+    else if (!known.name && t.name) known.name = t.name;
+  });
+  return [...byTicker.values()];
+}
+
+function setModelCatalog(catalog) {
+  modelCatalog.source = catalog.source;
+  modelCatalog.tickers = catalog.tickers;
+  modelCatalog.scenarios = catalog.scenarios;
+  modelCatalog.models = catalog.models;
+  modelCatalog.unsupported = catalog.unsupported;
+}
+
+// Fallback: whatever the page's <select>s list.
+function catalogFromControls() {
+  const values = (id) => [...document.getElementById(id).options].map((o) => o.value);
+  return {
+    source: "page",
+    tickers: values("stockSymbol").map((ticker) => ({ ticker, name: "" })),
+    scenarios: values("scenarioSelect"),
+    models: values("modelSelect"),
+    unsupported: new Map(),
+  };
+}
+
+// From a validated /catalog answer (api-schemas.js).
+function catalogFromResponse(payload) {
+  const unsupported = new Map();
+  (payload.unsupported || []).forEach((u) => {
+    unsupported.set(comboKey(u.scenario, u.model_type), u.reason || `${u.scenario} doesn't support ${u.model_type}.`);
+  });
+  return {
+    source: "catalog",
+    tickers: payload.tickers,
+    scenarios: payload.scenarios,
+    models: payload.models,
+    unsupported,
+  };
+}
+
+// From /metrics rows per ticker ({ ticker -> rows[] }), keeping the order of
+// `known` (the previous catalog) and appending anything new.
+function catalogFromMetrics(rowsByTicker, known) {
+  const rows = Object.values(rowsByTicker).flat();
+  const ordered = (current, found) => [...current.filter((v) => found.has(v)), ...[...found].filter((v) => !current.includes(v))];
+  const scenarios = ordered(known.scenarios, new Set(rows.map((r) => r.scenario)));
+  const models = ordered(known.models, new Set(rows.map((r) => r.model_type)));
+  const trained = new Set(rows.map((r) => comboKey(r.scenario, r.model_type)));
+
+  const unsupported = new Map();
+  scenarios.forEach((scenario) => {
+    models.forEach((model) => {
+      if (!trained.has(comboKey(scenario, model))) {
+        unsupported.set(comboKey(scenario, model), `No ${model} model has been trained with the ${scenario} method.`);
+      }
+    });
+  });
+
+  const names = new Map(known.tickers.map((t) => [t.ticker, t.name]));
+  return {
+    source: "metrics",
+    tickers: Object.keys(rowsByTicker)
+      .filter((t) => rowsByTicker[t].length)
+      .map((ticker) => ({ ticker, name: names.get(ticker) || "" })),
+    scenarios,
+    models,
+    unsupported,
+  };
+}
+
+// "BBCA" or "BBCA — Bank Central Asia" (typed or picked from the datalist) -> ticker
+function resolveTicker(text) {
+  const code = String(text || "").split("—")[0].trim().toUpperCase();
+  if (modelCatalog.tickers.some((t) => t.ticker === code)) return code;
+  const needle = String(text || "").trim().toLowerCase();
+  const byName = modelCatalog.tickers.filter((t) => t.name && t.name.toLowerCase().includes(needle));
+  return needle && byName.length === 1 ? byName[0].ticker : null;
+}
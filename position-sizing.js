@@ -0,0 +1,53 @@
+// Position maths for IDX equities: whole lots of 100 shares, a broker fee on
+// both sides and the final tax on the sale value. Rates are fractions
+// (0.0015 = 0.15%).
+//
+//   fees: { buy, sell, tax }
+//
+//   lotsForCapital   whole lots a budget buys, buy fee included
+//   openPosition     { lots, shares, price, value, buyFee, cost }
+//   closePosition    { exitPrice, value, sellFee, tax, proceeds, pnl, pnlPct }
+//   breakEvenPrice   lowest exit price that pays back both sides' costs
+//   idxTickSize      IDX price fraction (tick size) for a price's band; the
+//                    mock backend rounds its fixtures with it too
+//   roundUpToTick    next valid IDX price
+
+const IDX_LOT_SIZE = 100;
+
+function lotsForCapital(capital, price, fees) {
+  if (!(capital > 0) || !(price > 0)) return 0;
+  return Math.floor(capital / (price * IDX_LOT_SIZE * (1 + fees.buy)));
+}
+
+function openPosition(lots, price, fees) {
+  const shares = lots * IDX_LOT_SIZE;
+  const value = shares * price;
+  const buyFee = value * fees.buy;
+  return { lots, shares, price, value, buyFee, cost: value + buyFee };
+}
+
+function closePosition(position, exitPrice, fees) {
+  const value = position.shares * exitPrice;
+  const sellFee = value * fees.sell;
+  const tax = value * fees.tax;
+  const proceeds = value - sellFee - tax;
+  const pnl = proceeds - position.cost;
+  return { exitPrice, value, sellFee, tax, proceeds, pnl, pnlPct: (pnl / position.cost) * 100 };
+}
+
+function breakEvenPrice(entryPrice, fees) {
+  return (entryPrice * (1 + fees.buy)) / (1 - fees.sell - fees.tax);
+}
+
+function idxTickSize(price) {
+  if (price < 200) return 1;
+  if (price < 500) return 2;
+  if (price < 2000) return 5;
+  if (price < 5000) return 10;
+  return 25;
+}
+
+function roundUpToTick(price) {
+  const tick = idxTickSize(price);
+  return Math.ceil(price / tick - 1e-9) * tick;
+}
@@ -0,0 +1,188 @@
+// Prediction journal: every single-model or ensemble run is stored in
+// IndexedDB and scored once /recent returns closes for its forecast dates.
+//
+// A run is keyed by API base + ticker + scenario + model + last actual date, so
+// running the same configuration on the same data again refreshes the entry
+// instead of adding a duplicate. Runs are only ever scored with closes from the
+// backend that produced them: mock fixtures follow the IDX calendar too, and
+// must not settle a real run. Entries from before `apiBase` was stored belong
+// to no backend and are left as they are.
+//
+// Scoring (per step k = +1..+5, against the last close known at run time):
+//   hit       -> sign(pred_k - lastClose) === sign(actual_k - lastClose)
+//   absError  -> |pred_k - actual_k|
+//   pctError  -> |pred_k - actual_k| / actual_k * 100   (MAPE contribution)
+
+const JOURNAL_DB_NAME = "prethesis-journal";
+const JOURNAL_DB_VERSION = 1;
+const JOURNAL_STORE = "runs";
+
+let journalDbPromise = null;
+
+function journalAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function journalRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function journalOpen() {
+  if (!journalAvailable()) return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  if (journalDbPromise) return journalDbPromise;
+
+  journalDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(JOURNAL_STORE, { keyPath: "id" });
+      store.createIndex("ticker", "ticker", { unique: false });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      journalDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return journalDbPromise;
+}
+
+async function journalStore(mode) {
+  const db = await journalOpen();
+  return db.transaction(JOURNAL_STORE, mode).objectStore(JOURNAL_STORE);
+}
+
+function journalRunId(run) {
+  return [run.apiBase, run.ticker, run.scenario, run.model, run.lastDate].join("|");
+}
+
+// run: { apiBase, ticker, scenario, model, predPrices, forecastDates, lastClose, lastDate, backtestDA }
+async function journalSaveRun(run) {
+  const id = journalRunId(run);
+  const existing = await journalRequest((await journalStore("readonly")).get(id));
+  const record = {
+    ...run,
+    id,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    scores: existing ? existing.scores : [],
+  };
+  await journalRequest((await journalStore("readwrite")).put(record));
+  return record;
+}
+
+// Runs recorded against `apiBase`, newest first.
+async function journalAllRuns(apiBase) {
+  const runs = await journalRequest((await journalStore("readonly")).getAll());
+  return runs.filter((r) => r.apiBase === apiBase).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+async function journalRunsForTicker(ticker, apiBase) {
+  const index = (await journalStore("readonly")).index("ticker");
+  const runs = await journalRequest(index.getAll(ticker));
+  return runs.filter((r) => r.apiBase === apiBase);
+}
+
+async function journalClear(apiBase) {
+  const store = await journalStore("readwrite");
+  const runs = await journalRequest(store.getAll());
+  await Promise.all(runs.filter((r) => r.apiBase === apiBase).map((r) => journalRequest(store.delete(r.id))));
+}
+
+function journalIsComplete(run) {
+  return run.scores.length >= run.forecastDates.length;
+}
+
+// Pure: score every forecast step whose date appears in (dates, closes).
+function scoreRun(run, dates, closes) {
+  const closeByDate = new Map();
+  dates.forEach((d, i) => closeByDate.set(d, Number(closes[i])));
+
+  const scores = [];
+  run.forecastDates.forEach((date, i) => {
+    const actual = closeByDate.get(date);
+    if (typeof actual !== "number" || !Number.isFinite(actual)) return;
+    const predicted = Number(run.predPrices[i]);
+    const err = Math.abs(predicted - actual);
+    scores.push({
+      step: i + 1,
+      date,
+      predicted,
+      actual,
+      hit: Math.sign(predicted - run.lastClose) === Math.sign(actual - run.lastClose),
+      absError: err,
+      pctError: actual ? (err / actual) * 100 : null,
+    });
+  });
+  return scores;
+}
+
+// Re-score this ticker's open runs with /recent data freshly fetched from
+// `apiBase`. Returns the runs whose scores changed.
+async function journalScoreWithRecent(ticker, dates, closes, apiBase) {
+  if (!journalAvailable() || !Array.isArray(dates) || !dates.length) return [];
+
+  const runs = await journalRunsForTicker(ticker, apiBase);
+  const updated = [];
+  for (const run of runs) {
+    if (journalIsComplete(run)) continue;
+    const scores = scoreRun(run, dates, closes);
+    if (scores.length <= run.scores.length) continue;
+    run.scores = scores;
+    run.scoredAt = new Date().toISOString();
+    await journalRequest((await journalStore("readwrite")).put(run));
+    updated.push(run);
+  }
+  return updated;
+}
+
+// Pure: aggregate scored steps -> { n, hits, da, mae, mape }
+function summarizeScores(scores) {
+  const n = scores.length;
+  if (!n) return { n: 0, hits: 0, da: null, mae: null, mape: null };
+  const hits = scores.filter((s) => s.hit).length;
+  const pct = scores.filter((s) => typeof s.pctError === "number");
+  return {
+    n,
+    hits,
+    da: (hits / n) * 100,
+    mae: scores.reduce((acc, s) => acc + s.absError, 0) / n,
+    mape: pct.length ? pct.reduce((acc, s) => acc + s.pctError, 0) / pct.length : null,
+  };
+}
+
+// Pure: live results per configuration, compared with the backtest DA saved
+// with the most recent run of that configuration.
+function summarizeByConfig(runs) {
+  const groups = new Map();
+  runs.forEach((run) => {
+    const key = `${run.ticker}|${run.scenario}|${run.model}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ticker: run.ticker, scenario: run.scenario, model: run.model, runs: 0, scores: [], backtestDA: null, latest: "" });
+    }
+    const g = groups.get(key);
+    g.runs++;
+    g.scores.push(...run.scores);
+    if (run.createdAt > g.latest && typeof run.backtestDA === "number") {
+      g.latest = run.createdAt;
+      g.backtestDA = run.backtestDA;
+    }
+  });
+  return [...groups.values()].map((g) => ({ ...g, ...summarizeScores(g.scores) }));
+}
+
+// Pure: live results per forecast step across all runs.
+function summarizeBySteps(runs) {
+  const byStep = new Map();
+  runs.forEach((run) => {
+    run.scores.forEach((s) => {
+      if (!byStep.has(s.step)) byStep.set(s.step, []);
+      byStep.get(s.step).push(s);
+    });
+  });
+  return [...byStep.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([step, scores]) => ({ step, ...summarizeScores(scores) }));
+}
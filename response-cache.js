@@ -0,0 +1,198 @@
+// Response cache for the read-only API endpoints: an in-memory Map backed by
+// localStorage, keyed by base URL + endpoint + request body.
+//
+// Freshness follows the IDX calendar: /recent and /infer answers stay fresh
+// until the next session's closing data can exist (nextIDXDataRefresh), /metrics
+// (backtest results) and /catalog for a day. Past that an entry is stale: it is still
+// returned immediately while a background request revalidates it
+// (stale-while-revalidate), up to RESPONSE_CACHE_MAX_STALE_MS. When a
+// revalidated answer differs from what was served, a
+// "responsecache:revalidated" event is dispatched on window.
+//
+// responseMeta(payload) tells callers where a payload came from:
+//   { fetchedAt, expiresAt, stale, fromCache }
+
+const RESPONSE_CACHE_PREFIX = "prethesis.cache.v2:"; // v2: entries hold schema-checked answers
+const RESPONSE_CACHE_MAX_STALE_MS = 7 * 24 * 3600 * 1000;
+const RESPONSE_CACHE_POLICIES = {
+  "/recent": { until: "session" },
+  "/infer": { until: "session" },
+  "/metrics": { ttlMs: 24 * 3600 * 1000 },
+  "/catalog": { ttlMs: 24 * 3600 * 1000 },
+};
+
+const responseCacheMemory = new Map(); // key -> entry
+const responseCacheInflight = new Map(); // key -> Promise (revalidations)
+const responseMetaByPayload = new WeakMap(); // payload -> meta
+
+// Stable key: object keys sorted so { a, b } and { b, a } match.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function responseCacheKey(base, path, body) {
+  return `${base}${path}|${stableStringify(body || {})}`;
+}
+
+function responseExpiry(path, fetchedAt) {
+  const policy = RESPONSE_CACHE_POLICIES[path];
+  if (!policy) return fetchedAt;
+  return policy.until === "session" ? nextIDXDataRefresh(fetchedAt) : fetchedAt + policy.ttlMs;
+}
+
+function isCacheablePath(path) {
+  return Boolean(RESPONSE_CACHE_POLICIES[path]);
+}
+
+// ------------------------
+// Storage
+// ------------------------
+function readStoredEntry(key) {
+  try {
+    const raw = localStorage.getItem(RESPONSE_CACHE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function storedCacheKeys() {
+  const keys = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(RESPONSE_CACHE_PREFIX)) keys.push(k);
+    }
+  } catch (e) {
+    // storage disabled: memory only
+  }
+  return keys;
+}
+
+// Drop the oldest half of the stored entries (used when storage is full).
+function evictStoredEntries() {
+  const entries = storedCacheKeys()
+    .map((k) => ({ k, fetchedAt: (readStoredEntry(k.slice(RESPONSE_CACHE_PREFIX.length)) || {}).fetchedAt || 0 }))
+    .sort((a, b) => a.fetchedAt - b.fetchedAt);
+  entries.slice(0, Math.ceil(entries.length / 2)).forEach((e) => localStorage.removeItem(e.k));
+}
+
+function writeStoredEntry(entry) {
+  const raw = JSON.stringify(entry);
+  try {
+    localStorage.setItem(RESPONSE_CACHE_PREFIX + entry.key, raw);
+  } catch (e) {
+    try {
+      evictStoredEntries();
+      localStorage.setItem(RESPONSE_CACHE_PREFIX + entry.key, raw);
+    } catch (e2) {
+      console.warn("Response cache: localStorage is full, keeping this entry in memory only.");
+    }
+  }
+}
+
+function getCacheEntry(key) {
+  if (responseCacheMemory.has(key)) return responseCacheMemory.get(key);
+  const stored = readStoredEntry(key);
+  if (stored) responseCacheMemory.set(key, stored);
+  return stored;
+}
+
+function putCacheEntry(key, path, body, data) {
+  const fetchedAt = Date.now();
+  const entry = { key, path, body, data, fetchedAt, expiresAt: responseExpiry(path, fetchedAt) };
+  responseCacheMemory.set(key, entry);
+  writeStoredEntry(entry);
+  return entry;
+}
+
+function serveEntry(entry, fromCache) {
+  const stale = Date.now() >= entry.expiresAt;
+  responseMetaByPayload.set(entry.data, { fetchedAt: entry.fetchedAt, expiresAt: entry.expiresAt, stale, fromCache });
+  return entry.data;
+}
+
+function responseMeta(payload) {
+  return (payload && typeof payload === "object" && responseMetaByPayload.get(payload)) || null;
+}
+
+// ------------------------
+// Public API
+// ------------------------
+// fetcher(signal) performs the request. options: { signal, force }
+async function cachedResponse(base, path, body, fetcher, options) {
+  const opts = options || {};
+  if (!isCacheablePath(path)) return fetcher(opts.signal);
+
+  const key = responseCacheKey(base, path, body);
+  const entry = opts.force ? null : getCacheEntry(key);
+  const now = Date.now();
+
+  if (entry && now < entry.expiresAt) return serveEntry(entry, true);
+
+  if (entry && now - entry.expiresAt < RESPONSE_CACHE_MAX_STALE_MS) {
+    revalidateEntry(entry, fetcher);
+    return serveEntry(entry, true);
+  }
+
+  const data = await fetcher(opts.signal);
+  return serveEntry(putCacheEntry(key, path, body, data), false);
+}
+
+// Background refresh of a stale entry; one request per key at a time.
+function revalidateEntry(entry, fetcher) {
+  if (responseCacheInflight.has(entry.key)) return responseCacheInflight.get(entry.key);
+
+  const previous = stableStringify(entry.data);
+  const promise = fetcher(undefined)
+    .then((data) => {
+      putCacheEntry(entry.key, entry.path, entry.body, data);
+      if (stableStringify(data) !== previous) {
+        window.dispatchEvent(new CustomEvent("responsecache:revalidated", {
+          detail: { path: entry.path, body: entry.body },
+        }));
+      }
+    })
+    .catch((e) => console.warn(`Response cache: could not revalidate ${entry.path}:`, e))
+    .finally(() => responseCacheInflight.delete(entry.key));
+
+  responseCacheInflight.set(entry.key, promise);
+  return promise;
+}
+
+// Remove entries whose request body matches `predicate(body, path)` (all when omitted).
+function invalidateResponseCache(predicate) {
+  const matches = (entry) => !predicate || (entry && predicate(entry.body || {}, entry.path));
+
+  [...responseCacheMemory.entries()].forEach(([key, entry]) => {
+    if (matches(entry)) responseCacheMemory.delete(key);
+  });
+  storedCacheKeys().forEach((k) => {
+    if (matches(readStoredEntry(k.slice(RESPONSE_CACHE_PREFIX.length)))) localStorage.removeItem(k);
+  });
+}
+
+// Drop stored entries too old to be served even as stale, and entries written
+// by older cache versions.
+(function pruneResponseCache() {
+  const now = Date.now();
+  storedCacheKeys().forEach((k) => {
+    const entry = readStoredEntry(k.slice(RESPONSE_CACHE_PREFIX.length));
+    if (!entry || now - entry.expiresAt >= RESPONSE_CACHE_MAX_STALE_MS) localStorage.removeItem(k);
+  });
+  try {
+    Object.keys(localStorage)
+      .filter((k) => k.startsWith("prethesis.cache.") && !k.startsWith(RESPONSE_CACHE_PREFIX))
+      .forEach((k) => localStorage.removeItem(k));
+  } catch (e) {
+    // storage disabled
+  }
+})();
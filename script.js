@@ -6,36 +6,508 @@
 //
 // NOTE: Static hosting (Vercel, GitHub Pages) cannot truly hide an API key.
 // For demo purposes, you can still send a header and validate it server-side.
+//
+// The backend location is configured at runtime (API Settings panel):
+//   ?api=<url>    -> session override of the base URL (not persisted)
+//   ?env=<name>   -> pick one of the named environments below
+//   localStorage  -> edited environments + last active environment
+
+const API_ENVIRONMENTS = {
+  local: { label: "Local", base: "http://localhost:8000", key: "" },
+  staging: { label: "Staging", base: "", key: "" },
+  demo: { label: "Demo (ngrok)", base: "https://ceola-unmusical-yolande.ngrok-free.dev", key: "" },
+};
+const DEFAULT_API_ENV = "demo";
+const API_CONFIG_STORAGE_KEY = "prethesis.apiConfig";
+
+// Runtime config (mutable). `environments` holds the user's edits per environment.
+const apiConfig = {
+  active: DEFAULT_API_ENV,
+  environments: {},
+  urlOverride: "", // from ?api=
+};
+
+function normalizeBase(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+function loadApiConfig() {
+  Object.keys(API_ENVIRONMENTS).forEach((name) => {
+    apiConfig.environments[name] = { ...API_ENVIRONMENTS[name] };
+  });
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(API_CONFIG_STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      Object.entries(saved.environments || {}).forEach(([name, env]) => {
+        if (!apiConfig.environments[name] || !env) return;
+        apiConfig.environments[name].base = normalizeBase(env.base);
+        apiConfig.environments[name].key = String(env.key || "");
+      });
+      if (saved.active && apiConfig.environments[saved.active]) apiConfig.active = saved.active;
+    }
+  } catch (e) {
+    console.warn("Ignoring invalid saved API config:", e);
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const env = params.get("env");
+  if (env && apiConfig.environments[env]) apiConfig.active = env;
+  apiConfig.urlOverride = normalizeBase(params.get("api"));
+}
+
+function saveApiConfig() {
+  const environments = {};
+  Object.entries(apiConfig.environments).forEach(([name, env]) => {
+    environments[name] = { base: env.base, key: env.key };
+  });
+  try {
+    localStorage.setItem(
+      API_CONFIG_STORAGE_KEY,
+      JSON.stringify({ active: apiConfig.active, environments })
+    );
+  } catch (e) {
+    console.warn("Could not persist API config:", e);
+  }
+}
+
+function getActiveEnvironment() {
+  return apiConfig.environments[apiConfig.active] || apiConfig.environments[DEFAULT_API_ENV];
+}
 
-const API_BASE = "https://ceola-unmusical-yolande.ngrok-free.dev"; // <-- your ngrok URL
-const API_KEY = ""; // optional demo key, sent as X-API-Key
+function getApiBase() {
+  return apiConfig.urlOverride || getActiveEnvironment().base;
+}
+
+function getApiKey() {
+  return getActiveEnvironment().key;
+}
 
 function buildHeaders() {
   const h = { "Content-Type": "application/json" };
-  if (API_KEY) h["X-API-Key"] = API_KEY;
+  const key = getApiKey();
+  if (key) h["X-API-Key"] = key;
   return h;
 }
 
+loadApiConfig();
+
+
+// ------------------------
+// Number formatting + axis ticks
+// ------------------------
+// Escape anything that did not originate in this file (API and journal values)
+// before it goes into an innerHTML template.
+function escapeHTML(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatPrice(value, decimals) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "-";
+  const d = typeof decimals === "number" ? decimals : 0;
+  return value.toLocaleString("en-US", { minimumFractionDigits: d, maximumFractionDigits: d });
+}
+
+// "Nice" tick values (1, 2, 2.5, 5 x 10^k) covering [min, max] with at most maxCount ticks.
+function niceTicks(min, max, maxCount) {
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return { step: 0, ticks: [] };
+  const count = Math.max(2, maxCount);
+  const rawStep = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rawStep);
+
+  const ticks = [];
+  const first = Math.ceil(min / step) * step;
+  for (let v = first; v <= max + step * 1e-9; v += step) {
+    ticks.push(Number(v.toFixed(10)));
+  }
+  return { step, ticks };
+}
+
+// Fewest decimals that represent every multiple of `step` exactly (e.g. 0.25 -> 2).
+function tickDecimals(step) {
+  let d = 0;
+  while (d < 4 && Math.abs(Math.round(step * 10 ** d) - step * 10 ** d) > 1e-9) d++;
+  return d;
+}
 
 // Chart buffers (mutable)
-const stockData = [];      // OHLC derived from closes for candlesticks
-const predictionData = []; // {time, price} for +1..+5
+const stockData = [];      // {time, open, high, low, close, volume, ret, date}; see ohlcFromRecent()
+const predictionData = []; // {time, price, date} for the bridge point + steps +1..+5
+// Multi-model comparison lines, each with its own color and legend entry:
+// { id, scenario, model, label, color, da, visible, error, points: [{time, price, date}] }
+const forecastOverlays = [];
+// Ensemble mode: lowest/highest member forecast per step, {time, min, max}
+const ensembleSpread = [];
+// Uncertainty band around the forecast, {time, lower, upper}, starting at the
+// bridge point; forecastBandInfo = { level, source: "model" | "volatility" }
+const forecastBand = [];
+let forecastBandInfo = null;
+// True when /recent sent closes only and the candles are derived from them.
+let stockCandlesSynthetic = true;
+
+// Metadata of the run currently drawn (used by exports):
+// { mode, ticker, scenario, model, da, lookback, requestedAt, dataAsOf, members?, overlays? }
+let currentRun = null;
+
+// ------------------------
+// Technical indicators (math in indicators.js)
+// ------------------------
+// Computed over the actual closes followed by the forecast prices, so array
+// index === chart time. The forecast part is drawn dashed.
+const INDICATOR_STORAGE_KEY = "prethesis.indicators";
+const indicatorSettings = {
+  sma: { on: false, period: 20 },
+  ema: { on: false, period: 12 },
+  bb: { on: false, period: 20, mult: 2 },
+  rsi: { on: false, period: 14 },
+  macd: { on: false, fast: 12, slow: 26, signal: 9 },
+  volume: { on: true },
+  benchmarks: { on: true, period: 5 },
+};
+const INDICATOR_COLORS = {
+  sma: "#f39c12",
+  ema: "#8e44ad",
+  bb: "#16a085",
+  rsi: "#8e44ad",
+  macd: "#2c3e50",
+  macdSignal: "#e67e22",
+  volumeUp: "rgba(34, 197, 94, 0.5)",
+  volumeDown: "rgba(239, 68, 68, 0.5)",
+};
+
+function computeIndicators() {
+  const baseT = stockData.length - 1;
+  const values = stockData
+    .map((d) => d.close)
+    .concat(predictionData.filter((p) => p.time > baseT).map((p) => p.price));
+  const s = indicatorSettings;
+  return {
+    baseT,
+    sma: s.sma.on ? smaSeries(values, s.sma.period) : null,
+    ema: s.ema.on ? emaSeries(values, s.ema.period) : null,
+    bb: s.bb.on ? bollingerSeries(values, s.bb.period, s.bb.mult) : null,
+    rsi: s.rsi.on ? rsiSeries(values, s.rsi.period) : null,
+    macd: s.macd.on ? macdSeries(values, s.macd.fast, s.macd.slow, s.macd.signal) : null,
+    // traded volume is only known for actual sessions
+    volume: s.volume.on && stockData.some((d) => typeof d.volume === "number")
+      ? stockData.map((d) => (typeof d.volume === "number" ? d.volume : null))
+      : null,
+    benchmarks: currentBenchmarks(),
+  };
+}
+
+// Tooltip rows for the price-chart indicators at time `t`.
+function indicatorTooltipRows(ind, t) {
+  const rows = [];
+  const fmt = (v) => formatPrice(v, 2);
+  const swatch = (color) => `<i class="swatch" style="background:${color}"></i>`;
+  if (ind.sma && ind.sma[t] !== null && ind.sma[t] !== undefined) {
+    rows.push([`${swatch(INDICATOR_COLORS.sma)}SMA ${indicatorSettings.sma.period}`, fmt(ind.sma[t])]);
+  }
+  if (ind.ema && ind.ema[t] !== null && ind.ema[t] !== undefined) {
+    rows.push([`${swatch(INDICATOR_COLORS.ema)}EMA ${indicatorSettings.ema.period}`, fmt(ind.ema[t])]);
+  }
+  if (ind.bb && ind.bb[t]) {
+    rows.push([`${swatch(INDICATOR_COLORS.bb)}BB ${indicatorSettings.bb.period}`, `${fmt(ind.bb[t].lower)} – ${fmt(ind.bb[t].upper)}`]);
+  }
+  // a period longer than the series draws nothing; say why instead
+  [["sma", "SMA"], ["ema", "EMA"], ["bb", "BB"]].forEach(([key, label]) => {
+    const series = ind[key];
+    const period = indicatorSettings[key].period;
+    if (series && !series.some((v) => v !== null && v !== undefined)) {
+      rows.push([`${swatch(INDICATOR_COLORS[key])}${label} ${period}`, `needs ${period} prices, chart has ${series.length}`]);
+    }
+  });
+  ind.benchmarks.forEach((b) => {
+    const point = b.points.find((p) => p.time === t);
+    if (point) rows.push([`${swatch(b.color)}${b.label}`, fmt(point.price)]);
+  });
+  return rows;
+}
+
+// Stroke a time-indexed series (nulls skipped): solid up to `splitAt`, dashed after.
+function strokeSplitSeries(ctx, values, xOf, yOf, splitAt, color, width) {
+  const segment = (dashed) => {
+    ctx.setLineDash(dashed ? [5, 4] : []);
+    ctx.beginPath();
+    let started = false;
+    values.forEach((v, t) => {
+      if (v === null || v === undefined) return;
+      if (dashed ? t < splitAt : t > splitAt) return;
+      if (started) ctx.lineTo(xOf(t), yOf(v));
+      else ctx.moveTo(xOf(t), yOf(v));
+      started = true;
+    });
+    ctx.stroke();
+  };
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width || 1.5;
+  segment(false);
+  segment(true);
+  ctx.restore();
+}
+
+// ------------------------
+// Naive benchmarks (math in benchmarks.js)
+// ------------------------
+// Random walk, drift and moving-average forecasts from the closes on the
+// chart, drawn muted over the forecast horizon. The panel sets their
+// in-window hit rates against the model's backtest DA.
+const BENCHMARK_STYLES = {
+  randomWalk: { label: () => "Random walk", color: "#95a5a6" },
+  drift: { label: () => "Drift", color: "#b08d6e" },
+  movingAverage: { label: () => `MA ${indicatorSettings.benchmarks.period}`, color: "#a29bbd" },
+};
+
+// [{ kind, label, color, points: [{ time, price }] }] over the current forecast horizon
+function currentBenchmarks() {
+  const settings = indicatorSettings.benchmarks;
+  const horizon = currentRun ? xAxisState.horizon : 0;
+  if (!settings.on || !horizon || stockData.length < 2) return [];
+  const closes = stockData.map((d) => d.close);
+  const baseT = stockData.length - 1;
+  return BENCHMARK_KINDS.map((kind) => ({
+    kind,
+    label: BENCHMARK_STYLES[kind].label(),
+    color: BENCHMARK_STYLES[kind].color,
+    points: benchmarkForecast(kind, closes, horizon, settings.period).map((price, i) => ({ time: baseT + i + 1, price })),
+  }));
+}
+
+// What the benchmarks are measured against: the forecast on the chart, or
+// every configuration of a comparison.
+function benchmarkModelRows() {
+  if (!currentRun) return [];
+  if (currentRun.mode === "comparison") {
+    return forecastOverlays
+      .filter((o) => !o.error && o.points.length)
+      .map((o) => ({ label: o.label, da: o.da, last: o.points[o.points.length - 1].price }));
+  }
+  const last = predictionData[predictionData.length - 1];
+  return [{
+    label: currentRun.mode === "ensemble" ? "Ensemble" : `${currentRun.scenario} / ${currentRun.model}`,
+    da: currentRun.da,
+    last: last ? last.price : null,
+  }];
+}
+
+let benchmarkPanelKey = null; // skip recomputing the hit rates on hover/zoom redraws
+
+function renderBenchmarkPanel() {
+  const host = document.getElementById("benchmarkPanel");
+  const settings = indicatorSettings.benchmarks;
+  const closes = stockData.map((d) => d.close);
+  const models = benchmarkModelRows();
+  const key = JSON.stringify([settings, closes, models, xAxisState.horizon]);
+  if (key === benchmarkPanelKey) return;
+  benchmarkPanelKey = key;
+
+  host.hidden = !settings.on || !currentRun || closes.length < 3;
+  if (host.hidden) return;
+
+  const rates = benchmarkHitRates(closes, settings.period);
+  const benchmarks = currentBenchmarks();
+  const horizon = xAxisState.horizon;
+  const validRates = BENCHMARK_KINDS.map((k) => rates[k].rate).filter((r) => r !== null);
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const price = (v) => (isNum(v) ? v.toFixed(2) : "-");
+
+  const modelRows = models.map((m) => {
+    const beaten = isNum(m.da) ? validRates.filter((r) => m.da > r).length : null;
+    return `
+      <tr class="benchmark-model">
+        <td>${escapeHTML(m.label)}</td>
+        <td>${price(m.last)}</td>
+        <td>${isNum(m.da) ? `${m.da.toFixed(2)}% <span class="muted">backtest DA</span>` : "-"}</td>
+        <td>${beaten === null ? "-" : `beats ${beaten} of ${validRates.length}`}</td>
+      </tr>
+    `;
+  });
+  const benchmarkRows = benchmarks.map((b) => {
+    const r = rates[b.kind];
+    return `
+      <tr>
+        <td><i class="swatch" style="background:${b.color}"></i>${escapeHTML(b.label)}</td>
+        <td>${price(b.points[b.points.length - 1].price)}</td>
+        <td>${r.rate === null ? `<span class="muted">no call (flat)</span>` : `${r.rate.toFixed(2)}% <span class="muted">${r.hits}/${r.calls}</span>`}</td>
+        <td></td>
+      </tr>
+    `;
+  });
+
+  document.getElementById("benchmarkNote").textContent =
+    `Hit rate: one-step direction from each of the last ${rates.randomWalk.total} sessions in the window; ` +
+    "flat forecasts make no call and aren't scored, and a flat session misses every call. " +
+    "The model's DA comes from its backtest, so the comparison is indicative.";
+  host.querySelector("thead th:nth-child(2)").textContent = `Step +${horizon}`;
+  host.querySelector("tbody").innerHTML = modelRows.concat(benchmarkRows).join("");
+}
+
+// ------------------------
+// Returns
+// ------------------------
+// /recent sends one return per close (the first one against the close before
+// the window); its type follows the "Return Type" control.
+const RETURN_TYPE_LABELS = { log: "Log", simple: "Simple" };
+const TRADING_DAYS_PER_YEAR = 252;
+let stockReturnType = "log"; // type of the `ret` values in stockData
+
+function getReturnType() {
+  const el = document.getElementById("returnTypeSelect");
+  return el && el.value === "simple" ? "simple" : "log";
+}
+
+function periodReturn(from, to, type) {
+  if (!(from > 0) || !(to > 0)) return null;
+  return type === "simple" ? to / from - 1 : Math.log(to / from);
+}
+
+// { type, values } aligned with `closes`; returns the payload doesn't supply
+// (null entries, or no usable array) are computed from the closes, so the
+// first one may be unknown.
+function recentReturns(recent, closes) {
+  // a backend that doesn't say which type it sent was asked for the selected one
+  const sentType = recent && recent.return_type;
+  const type = sentType === "simple" || sentType === "log" ? sentType : getReturnType();
+  const sent = recent && Array.isArray(recent.returns) && recent.returns.length === closes.length ? recent.returns : [];
+  const values = closes.map((c, i) => {
+    if (Number.isFinite(sent[i])) return sent[i];
+    return i ? periodReturn(closes[i - 1], c, type) : null;
+  });
+  return { type, values };
+}
+
+// Step returns implied by a forecast path that starts from `basePrice`.
+function impliedReturns(basePrice, points, type) {
+  let prev = basePrice;
+  return points.map((p) => {
+    const value = periodReturn(prev, p.price, type);
+    prev = p.price;
+    return { time: p.time, date: p.date, value, price: p.price };
+  });
+}
+
+function returnStats(values) {
+  const xs = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (!xs.length) return null;
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const variance = xs.length > 1 ? xs.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (xs.length - 1) : 0;
+  const sd = Math.sqrt(variance);
+  return {
+    n: xs.length,
+    mean,
+    sd,
+    annualSd: sd * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    upShare: xs.filter((v) => v > 0).length / xs.length,
+  };
+}
+
+function formatReturn(value, decimals) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "-";
+  const pct = value * 100;
+  return `${pct > 0 ? "+" : ""}${pct.toFixed(decimals === undefined ? 2 : decimals)}%`;
+}
+
+// ------------------------
+// Forecast uncertainty band
+// ------------------------
+// Taken from /infer `quantiles` when the backend sends them; otherwise the
+// forecast ± z·σ·√h, with σ the realized daily log-return volatility of the
+// /recent window and h the step.
+const FORECAST_BAND_LEVEL = 0.8;
+const FORECAST_BAND_Z = 1.2816; // two-sided 80% normal quantile
+
+// Outermost quantile pair of an /infer answer: { level, lower[], upper[] } or null.
+function inferQuantileBand(infer) {
+  const q = infer && infer.quantiles;
+  if (!q || typeof q !== "object") return null;
+  const levels = Object.keys(q).map(Number).sort((a, b) => a - b);
+  if (levels.length < 2) return null;
+  const lo = levels[0];
+  const hi = levels[levels.length - 1];
+  return { level: hi - lo, lower: q[String(lo)] || q[lo], upper: q[String(hi)] || q[hi] };
+}
+
+function realizedVolatility(closes) {
+  const logReturns = closes.slice(1).map((c, i) => periodReturn(closes[i], c, "log")).filter((v) => v !== null);
+  const stats = returnStats(logReturns);
+  return stats && stats.n > 1 ? stats.sd : null;
+}
+
+// Fill forecastBand for a forecast path drawn from the last close in `closes`.
+function setForecastBand(closes, predPrices, infer) {
+  forecastBand.length = 0;
+  forecastBandInfo = null;
+  if (!closes.length || !predPrices.length) return;
+
+  const baseT = closes.length - 1;
+  const quantiles = inferQuantileBand(infer);
+  const points = [];
+  if (quantiles) {
+    predPrices.forEach((_, i) => points.push({ lower: quantiles.lower[i], upper: quantiles.upper[i] }));
+    forecastBandInfo = { level: quantiles.level, source: "model" };
+  } else {
+    const sigma = realizedVolatility(closes);
+    if (sigma === null) return;
+    predPrices.forEach((p, i) => {
+      const spread = FORECAST_BAND_Z * sigma * Math.sqrt(i + 1);
+      points.push({ lower: p * Math.exp(-spread), upper: p * Math.exp(spread) });
+    });
+    forecastBandInfo = { level: FORECAST_BAND_LEVEL, source: "volatility" };
+  }
+
+  forecastBand.push({ time: baseT, lower: closes[baseT], upper: closes[baseT] });
+  points.forEach((b, i) => forecastBand.push({ time: baseT + i + 1, ...b }));
+}
+
+function forecastBandLabel() {
+  if (!forecastBandInfo) return "-";
+  const source = forecastBandInfo.source === "model" ? "model quantiles" : "recent volatility";
+  return `${Math.round(forecastBandInfo.level * 100)}% (${source})`;
+}
 
 class StockChart {
   constructor(canvasId) {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext("2d");
     this.mode = "candlestick"; // "candlestick" | "line"
-    this.setupCanvas();
+    this.series = "price";     // "price" | "returns" (bars of daily returns)
+    this.yAxisEl = this.canvas.parentElement.querySelector(".y-axis");
+    this.padding = { top: 20, right: 72, bottom: 20, left: 20 };
     this.minPrice = 0;
     this.maxPrice = 1;
-    this.padding = { top: 20, right: 50, bottom: 20, left: 20 };
+    this.totalPoints = 0;
+    this.view = null;      // { start, end } in time units; null = whole series
+    this.drag = null;      // active mouse drag (pan)
+    this.hoverTime = null; // time index under the crosshair
+    this.onRender = null;  // hook for DOM overlays that follow the view (x-axis)
+    this.indicators = computeIndicators(); // refreshed on every frame
+    this.tooltipEl = this.canvas.parentElement.querySelector(".chart-tooltip");
+    this.resetBtn = this.canvas.parentElement.querySelector(".chart-reset-btn");
+    this.setupCanvas();
+    this.bindPointerEvents();
   }
 
   setMode(mode) {
     this.mode = mode === "line" ? "line" : "candlestick";
   }
 
+  setSeries(series) {
+    this.series = series === "returns" ? "returns" : "price";
+    this.hoverTime = null;
+  }
+
+  isReturns() {
+    return this.series === "returns";
+  }
+
   setupCanvas() {
     const rect = this.canvas.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
@@ -51,13 +523,56 @@ class StockChart {
     this.canvas.style.height = rect.height + "px";
     this.width = rect.width;
     this.height = rect.height;
+
+    // roughly one price label per 45px of plot height
+    const chartHeight = this.height - this.padding.top - this.padding.bottom;
+    this.maxTicks = Math.max(3, Math.min(12, Math.floor(chartHeight / 45)));
+  }
+
+  hasData() {
+    return stockData.length > 0 || predictionData.length > 0;
+  }
+
+  visibleOverlays() {
+    return forecastOverlays.filter((o) => o.visible && o.points.length);
+  }
+
+  getPriceTicks() {
+    return niceTicks(this.minPrice, this.maxPrice, this.maxTicks);
   }
 
+  // Price range of what is on screen, so zooming in also rescales the y-axis.
   setRangeFromData() {
+    const { start, end } = this.getView();
+    const inView = (t) => t >= Math.floor(start) && t <= Math.ceil(end);
+    if (this.isReturns()) {
+      this.setReturnRange(inView);
+      return;
+    }
+    const visibleStock = stockData.filter((d) => inView(d.time));
+    // the line chart only draws closes; wicks would pad the range for nothing
+    const candles = this.mode === "candlestick";
+    const visiblePred = predictionData.filter((p) => inView(p.time));
+    const visibleOverlay = this.visibleOverlays().flatMap((o) => o.points.filter((p) => inView(p.time)));
+    const visibleSpread = ensembleSpread.filter((b) => inView(b.time));
+    const visibleBand = forecastBand.filter((b) => inView(b.time));
+    const ind = this.indicators;
+    const indicatorValues = ind.benchmarks.flatMap((b) => b.points.filter((p) => inView(p.time)).map((p) => p.price));
+    for (let t = Math.max(0, Math.floor(start)); t <= Math.ceil(end); t++) {
+      if (ind.sma && ind.sma[t] != null) indicatorValues.push(ind.sma[t]);
+      if (ind.ema && ind.ema[t] != null) indicatorValues.push(ind.ema[t]);
+      if (ind.bb && ind.bb[t]) indicatorValues.push(ind.bb[t].lower, ind.bb[t].upper);
+    }
     const all = [
-      ...stockData.map((d) => d.low),
-      ...stockData.map((d) => d.high),
-      ...predictionData.map((p) => p.price),
+      ...indicatorValues,
+      ...visibleBand.map((b) => b.lower),
+      ...visibleBand.map((b) => b.upper),
+      ...visibleSpread.map((b) => b.min),
+      ...visibleSpread.map((b) => b.max),
+      ...visibleStock.map((d) => (candles ? d.low : d.close)),
+      ...visibleStock.map((d) => (candles ? d.high : d.close)),
+      ...visiblePred.map((p) => p.price),
+      ...visibleOverlay.map((p) => p.price),
     ];
     if (!all.length) {
       this.minPrice = 0;
@@ -71,6 +586,32 @@ class StockChart {
     this.maxPrice = maxV + pad;
   }
 
+  // Returns mode: symmetric-ish range that always contains zero.
+  setReturnRange(inView) {
+    const values = [
+      ...this.getPoints().filter((p) => inView(p.time)).map((p) => p.price),
+      ...this.overlayReturns().flatMap((o) => o.points.filter((p) => inView(p.time)).map((p) => p.value)),
+    ].filter((v) => v !== null);
+    const minV = Math.min(0, ...values);
+    const maxV = Math.max(0, ...values);
+    const pad = (maxV - minV) * 0.1 || 0.01;
+    this.minPrice = minV - pad;
+    this.maxPrice = maxV + pad;
+  }
+
+  // Implied step returns of every visible comparison line.
+  overlayReturns() {
+    const last = stockData[stockData.length - 1];
+    if (!last) return [];
+    return this.visibleOverlays().map((o) => ({ ...o, points: impliedReturns(last.close, o.points, stockReturnType) }));
+  }
+
+  // Axis label for a tick or marker value (prices, or percentages in returns mode).
+  axisLabel(value, step) {
+    if (this.isReturns()) return formatReturn(value, tickDecimals(step * 100));
+    return formatPrice(value, tickDecimals(step));
+  }
+
   priceToY(price) {
     const chartHeight = this.height - this.padding.top - this.padding.bottom;
     const priceRange = this.maxPrice - this.minPrice || 1;
@@ -80,20 +621,345 @@ class StockChart {
     );
   }
 
-  timeToX(time, timeRange) {
+  timeToX(time) {
+    const chartWidth = this.width - this.padding.left - this.padding.right;
+    const { start, end } = this.getView();
+    return this.padding.left + ((time - start) / (end - start || 1)) * chartWidth;
+  }
+
+  xToTime(x) {
+    const chartWidth = this.width - this.padding.left - this.padding.right;
+    const { start, end } = this.getView();
+    return start + ((x - this.padding.left) / (chartWidth || 1)) * (end - start);
+  }
+
+  // Compute total points from both series so grid/scale always matches actual data length.
+  // - stockData uses indices 0..(N-1)
+  // - predictionData uses explicit "time"
+  computeTotalPoints() {
+    let totalPoints = Math.max(0, stockData.length);
+    const forecastTimes = [
+      ...predictionData.map((p) => p.time),
+      ...forecastOverlays.flatMap((o) => o.points.map((p) => p.time)),
+    ];
+    if (forecastTimes.length) {
+      totalPoints = Math.max(totalPoints, Math.max(...forecastTimes) + 1);
+    }
+
+    // Fallback: if nothing loaded yet, show an empty grid with 35 points (30 + 5)
+    if (totalPoints < 2) totalPoints = 35;
+    return totalPoints;
+  }
+
+  // ------------------------
+  // View (zoom + pan)
+  // ------------------------
+  getFullRange() {
+    return { start: 0, end: Math.max(1, this.computeTotalPoints() - 1) };
+  }
+
+  getView() {
+    return this.view || this.getFullRange();
+  }
+
+  isZoomed() {
+    return this.view !== null;
+  }
+
+  // Keep the view inside the data, at least MIN_VIEW_POINTS wide, and snap to
+  // the right edge once the last actual close is in view so the whole forecast
+  // segment stays visible.
+  clampView(start, end) {
+    const full = this.getFullRange();
+    const fullSpan = full.end - full.start;
+    const span = Math.min(fullSpan, Math.max(Math.min(StockChart.MIN_VIEW_POINTS, fullSpan), end - start));
+    if (span >= fullSpan) return null;
+
+    let s = Math.min(Math.max(full.start, start), full.end - span);
+    const lastActual = stockData.length - 1;
+    const hasForecast = predictionData.length > 0 || forecastOverlays.length > 0;
+    if (hasForecast && s + span >= lastActual) s = full.end - span;
+    return { start: s, end: s + span };
+  }
+
+  setView(start, end) {
+    this.view = this.clampView(start, end);
+    if (this.resetBtn) this.resetBtn.hidden = !this.isZoomed();
+    this.render();
+  }
+
+  resetView() {
+    this.setView(-Infinity, Infinity);
+  }
+
+  zoomAt(x, factor) {
+    const { start, end } = this.getView();
+    const anchor = this.xToTime(x);
+    this.setView(anchor - (anchor - start) * factor, anchor + (end - anchor) * factor);
+  }
+
+  panBy(dx) {
     const chartWidth = this.width - this.padding.left - this.padding.right;
-    const tr = timeRange || 1;
-    return this.padding.left + (time / tr) * chartWidth;
+    const { start, end } = this.getView();
+    const dt = (dx / (chartWidth || 1)) * (end - start);
+    this.setView(start - dt, end - dt);
+  }
+
+  // ------------------------
+  // Crosshair + tooltip
+  // ------------------------
+  bindPointerEvents() {
+    const localX = (e) => e.clientX - this.canvas.getBoundingClientRect().left;
+
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (this.drag) {
+        const x = localX(e);
+        this.panBy(x - this.drag.x);
+        this.drag.x = x;
+        return;
+      }
+      this.setHover(localX(e));
+    });
+
+    this.canvas.addEventListener("pointerdown", (e) => {
+      // mouse drag pans; touch has no hover, so a tap places the crosshair and
+      // a horizontal drag scrubs it (touch-action: pan-y leaves vertical drags
+      // to page scrolling, which cancels the pointer)
+      if (e.pointerType === "mouse" && e.button === 0 && this.hasData()) {
+        this.drag = { x: localX(e) };
+        this.canvas.classList.add("dragging");
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+        this.clearHover();
+        return;
+      }
+      if (e.pointerType === "touch" && this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+      this.setHover(localX(e));
+    });
+
+    const endDrag = () => {
+      this.drag = null;
+      this.canvas.classList.remove("dragging");
+    };
+    this.canvas.addEventListener("pointerup", endDrag);
+    this.canvas.addEventListener("pointerleave", (e) => {
+      // a lifted finger also "leaves": keep the crosshair where it was tapped
+      if (!this.drag && e.pointerType !== "touch") this.clearHover();
+    });
+    this.canvas.addEventListener("pointercancel", () => {
+      endDrag();
+      this.clearHover();
+    });
+
+    this.canvas.addEventListener("wheel", (e) => {
+      if (!this.hasData()) return;
+      e.preventDefault();
+      this.zoomAt(localX(e), e.deltaY > 0 ? StockChart.ZOOM_STEP : 1 / StockChart.ZOOM_STEP);
+    }, { passive: false });
+
+    this.canvas.addEventListener("dblclick", () => this.resetView());
+    if (this.resetBtn) this.resetBtn.addEventListener("click", () => this.resetView());
+  }
+
+  // All drawn points in time order; the forecast bridge point (same time as
+  // the last actual close) is skipped so every time maps to one point.
+  // In comparison mode forecast points carry every visible overlay's price.
+  getPoints() {
+    if (this.isReturns()) return this.getReturnPoints();
+    const points = stockData.map((d) => ({
+      time: d.time,
+      date: d.date,
+      price: d.close,
+      ohlc: d,
+      kind: "actual",
+    }));
+    const baseT = stockData.length - 1;
+    predictionData
+      .filter((p) => p.time > baseT)
+      .forEach((p) => points.push({ time: p.time, date: p.date, price: p.price, kind: "forecast", step: p.time - baseT }));
+
+    const overlays = this.visibleOverlays();
+    if (!predictionData.length && overlays.length) {
+      overlays[0].points
+        .filter((p) => p.time > baseT)
+        .forEach((p) => {
+          const values = overlays.map((o) => {
+            const match = o.points.find((q) => q.time === p.time);
+            return { label: o.label, color: o.color, price: match ? match.price : null };
+          });
+          points.push({ time: p.time, date: p.date, price: p.price, kind: "forecast", step: p.time - baseT, overlays: values });
+        });
+    }
+    return points;
+  }
+
+  // Returns mode: `price` holds the return so the crosshair and range code work
+  // unchanged; `close` keeps the price. Days without a known return are skipped.
+  getReturnPoints() {
+    const points = [];
+    stockData.forEach((d) => {
+      if (typeof d.ret !== "number") return;
+      points.push({ time: d.time, date: d.date, price: d.ret, close: d.close, kind: "actual" });
+    });
+    const baseT = stockData.length - 1;
+    const last = stockData[baseT];
+    if (!last) return points;
+
+    const forecast = predictionData.filter((p) => p.time > baseT);
+    impliedReturns(last.close, forecast, stockReturnType).forEach((r) => {
+      if (r.value !== null) points.push({ time: r.time, date: r.date, price: r.value, close: r.price, kind: "forecast", step: r.time - baseT });
+    });
+
+    const overlays = this.overlayReturns();
+    if (!forecast.length && overlays.length) {
+      overlays[0].points.forEach((p) => {
+        const values = overlays.map((o) => {
+          const match = o.points.find((q) => q.time === p.time);
+          return { label: o.label, color: o.color, price: match ? match.value : null };
+        });
+        points.push({ time: p.time, date: p.date, price: p.value || 0, kind: "forecast", step: p.time - baseT, overlays: values });
+      });
+    }
+    return points;
+  }
+
+  setHover(x) {
+    if (!this.hasData()) return;
+    const points = this.getPoints();
+    if (!points.length) return;
+
+    const t = this.xToTime(x);
+    let nearest = points[0];
+    points.forEach((p) => {
+      if (Math.abs(p.time - t) < Math.abs(nearest.time - t)) nearest = p;
+    });
+
+    if (nearest.time === this.hoverTime) return;
+    this.hoverTime = nearest.time;
+    this.render();
+  }
+
+  clearHover() {
+    if (this.hoverTime === null) return;
+    this.hoverTime = null;
+    this.render();
+  }
+
+  drawCrosshair(point) {
+    const x = this.timeToX(point.time);
+    const y = this.priceToY(point.price);
+    const color = point.kind === "forecast" ? "#3498db" : "#111827";
+
+    this.ctx.save();
+    this.ctx.strokeStyle = "rgba(0, 0, 0, 0.35)";
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, this.padding.top);
+    this.ctx.lineTo(x, this.height - this.padding.bottom);
+    this.ctx.moveTo(this.padding.left, y);
+    this.ctx.lineTo(this.width - this.padding.right, y);
+    this.ctx.stroke();
+    this.ctx.restore();
+
+    this.ctx.fillStyle = "white";
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 5, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.stroke();
+  }
+
+  renderTooltip(point, prev) {
+    const tip = this.tooltipEl;
+    if (!tip) return;
+    if (!point) {
+      tip.style.display = "none";
+      return;
+    }
+
+    if (this.isReturns()) {
+      this.renderReturnTooltip(point);
+      this.placeTooltip(point);
+      return;
+    }
+
+    const fmt = (v) => formatPrice(v, 2);
+    const rows = [];
+    if (point.kind === "actual" && this.mode === "candlestick") {
+      rows.push(["Open", fmt(point.ohlc.open)], ["High", fmt(point.ohlc.high)], ["Low", fmt(point.ohlc.low)], ["Close", fmt(point.ohlc.close)]);
+      if (typeof point.ohlc.volume === "number") rows.push(["Volume", formatVolume(point.ohlc.volume)]);
+    } else if (point.overlays) {
+      point.overlays.forEach((o) => rows.push([`<i class="swatch" style="background:${o.color}"></i>${escapeHTML(o.label)}`, fmt(o.price)]));
+    } else {
+      rows.push([point.kind === "forecast" ? "Forecast" : "Close", fmt(point.price)]);
+    }
+    const band = point.kind === "forecast" ? ensembleSpread.find((b) => b.time === point.time) : null;
+    if (band) rows.push(["Members", `${fmt(band.min)} – ${fmt(band.max)}`]);
+    const bounds = point.kind === "forecast" ? forecastBand.find((b) => b.time === point.time) : null;
+    if (bounds) rows.push([`${Math.round(forecastBandInfo.level * 100)}% band`, `${fmt(bounds.lower)} – ${fmt(bounds.upper)}`]);
+    rows.push(...indicatorTooltipRows(this.indicators, point.time));
+
+    let change = "";
+    if (prev) {
+      const diff = point.price - prev.price;
+      const pct = prev.price ? (diff / prev.price) * 100 : 0;
+      const sign = diff > 0 ? "+" : "";
+      const whose = point.overlays ? ` (${escapeHTML(point.overlays[0].label)})` : "";
+      change = `<div class="tooltip-change ${diff >= 0 ? "up" : "down"}">${sign}${fmt(diff)} (${sign}${pct.toFixed(2)}%) vs prev${whose}</div>`;
+    }
+
+    const label = point.kind === "forecast" ? `forecast · step +${point.step}` : "actual";
+    tip.innerHTML = `
+      <div class="tooltip-date">${point.date ? `${weekdayName(point.date)} ${escapeHTML(point.date)}` : `t = ${point.time}`}</div>
+      ${rows.map(([k, v]) => `<div class="tooltip-row"><span>${k}</span><span>${v}</span></div>`).join("")}
+      ${change}
+      <span class="tag ${point.kind}">${label}</span>
+    `;
+    tip.style.display = "block";
+    this.placeTooltip(point);
+  }
+
+  renderReturnTooltip(point) {
+    const type = RETURN_TYPE_LABELS[stockReturnType].toLowerCase();
+    const rows = [];
+    if (point.overlays) {
+      point.overlays.forEach((o) => rows.push([`<i class="swatch" style="background:${o.color}"></i>${escapeHTML(o.label)}`, formatReturn(o.price)]));
+    } else {
+      rows.push([point.kind === "forecast" ? `Implied ${type} return` : `${RETURN_TYPE_LABELS[stockReturnType]} return`, formatReturn(point.price)]);
+      rows.push([point.kind === "forecast" ? "Forecast" : "Close", formatPrice(point.close, 2)]);
+    }
+    const first = stockData[0];
+    if (first && point.close) rows.push(["Since window start", formatReturn(periodReturn(first.close, point.close, stockReturnType))]);
+
+    const label = point.kind === "forecast" ? `forecast · step +${point.step}` : "actual";
+    this.tooltipEl.innerHTML = `
+      <div class="tooltip-date">${point.date ? `${weekdayName(point.date)} ${escapeHTML(point.date)}` : `t = ${point.time}`}</div>
+      ${rows.map(([k, v]) => `<div class="tooltip-row"><span>${k}</span><span>${v}</span></div>`).join("")}
+      <span class="tag ${point.kind}">${label}</span>
+    `;
+    this.tooltipEl.style.display = "block";
+  }
+
+  // keep the box inside the plot: flip to the left of the crosshair near the right edge
+  placeTooltip(point) {
+    const tip = this.tooltipEl;
+    const x = this.timeToX(point.time);
+    const y = this.priceToY(point.price);
+    const boxW = tip.offsetWidth || 160;
+    const boxH = tip.offsetHeight || 90;
+    const left = x + 12 + boxW > this.width - this.padding.right ? x - 12 - boxW : x + 12;
+    const top = Math.min(Math.max(this.padding.top, y - boxH / 2), this.height - boxH - this.padding.bottom);
+    tip.style.left = `${Math.max(0, left)}px`;
+    tip.style.top = `${Math.max(0, top)}px`;
   }
 
-  drawGridLines(totalPoints) {
+  drawGridLines() {
     this.ctx.strokeStyle = "rgba(0, 0, 0, 0.1)";
     this.ctx.lineWidth = 1;
-    const timeRange = Math.max(1, totalPoints - 1);
 
-    const steps = 8;
-    for (let i = 0; i <= steps; i++) {
-      const price = this.minPrice + (i / steps) * (this.maxPrice - this.minPrice);
+    const { ticks } = this.getPriceTicks();
+    for (const price of ticks) {
       const y = this.priceToY(price);
       this.ctx.beginPath();
       this.ctx.moveTo(this.padding.left, y);
@@ -101,9 +967,10 @@ class StockChart {
       this.ctx.stroke();
     }
 
-    const timeStep = Math.max(1, Math.floor(totalPoints / 10));
-    for (let i = 0; i < totalPoints; i += timeStep) {
-      const x = this.timeToX(i, timeRange);
+    const { start, end } = this.getView();
+    const timeStep = Math.max(1, Math.floor((end - start + 1) / 10));
+    for (let i = Math.ceil(start); i <= end; i += timeStep) {
+      const x = this.timeToX(i);
       this.ctx.beginPath();
       this.ctx.moveTo(x, this.padding.top);
       this.ctx.lineTo(x, this.height - this.padding.bottom);
@@ -111,8 +978,13 @@ class StockChart {
     }
   }
 
+  // Horizontal distance between two consecutive points at the current zoom.
+  pointSpacing() {
+    return this.timeToX(1) - this.timeToX(0);
+  }
+
   drawCandlestick(data, x) {
-    const candleWidth = 8;
+    const candleWidth = Math.max(1, Math.min(8, this.pointSpacing() * 0.6));
     const openY = this.priceToY(data.open);
     const closeY = this.priceToY(data.close);
     const highY = this.priceToY(data.high);
@@ -139,16 +1011,15 @@ class StockChart {
     this.ctx.strokeRect(x - candleWidth / 2, bodyY, candleWidth, bodyHeight);
   }
 
-  drawHistoricalLine(totalPoints) {
+  drawHistoricalLine() {
     if (stockData.length < 2) return;
-    const timeRange = Math.max(1, totalPoints - 1);
 
     this.ctx.strokeStyle = "#111827";
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
 
     stockData.forEach((d, idx) => {
-      const x = this.timeToX(idx, timeRange);
+      const x = this.timeToX(idx);
       const y = this.priceToY(d.close);
       if (idx === 0) this.ctx.moveTo(x, y);
       else this.ctx.lineTo(x, y);
@@ -157,16 +1028,15 @@ class StockChart {
     this.ctx.stroke();
   }
 
-  drawPredictionLine(totalPoints) {
+  drawPredictionLine() {
     if (predictionData.length < 2) return;
-    const timeRange = Math.max(1, totalPoints - 1);
 
     this.ctx.strokeStyle = "#3498db";
     this.ctx.lineWidth = 3;
     this.ctx.beginPath();
 
     predictionData.forEach((pt, i) => {
-      const x = this.timeToX(pt.time, timeRange);
+      const x = this.timeToX(pt.time);
       const y = this.priceToY(pt.price);
       if (i === 0) this.ctx.moveTo(x, y);
       else this.ctx.lineTo(x, y);
@@ -175,7 +1045,7 @@ class StockChart {
 
     this.ctx.fillStyle = "#3498db";
     predictionData.forEach((pt) => {
-      const x = this.timeToX(pt.time, timeRange);
+      const x = this.timeToX(pt.time);
       const y = this.priceToY(pt.price);
       this.ctx.beginPath();
       this.ctx.arc(x, y, 3, 0, 2 * Math.PI);
@@ -183,334 +1053,3358 @@ class StockChart {
     });
   }
 
-  render() {
-    this.setRangeFromData();
-    this.ctx.clearRect(0, 0, this.width, this.height);
-
-    // Compute total points from both series so grid/scale always matches actual data length.
-    // - stockData uses indices 0..(N-1)
-    // - predictionData uses explicit "time"
-    let totalPoints = Math.max(0, stockData.length);
-    if (predictionData.length) {
-      const maxPredT = Math.max(...predictionData.map((p) => p.time));
-      totalPoints = Math.max(totalPoints, maxPredT + 1);
-    }
-
-    // Fallback: if nothing loaded yet, show an empty grid with 25 points (20 + 5)
-    if (totalPoints < 2) totalPoints = 35;
-
-    this.drawGridLines(totalPoints);
+  // Returns mode: one bar per day from the zero line, implied forecast returns
+  // in the forecast colour, comparison lines as dotted paths.
+  drawReturnBars() {
+    const barW = Math.max(1, Math.min(10, this.pointSpacing() * 0.6));
+    const zeroY = this.priceToY(0);
+    this.getPoints().forEach((p) => {
+      if (p.overlays) return;
+      const y = this.priceToY(p.price);
+      const x = this.timeToX(p.time);
+      if (p.kind === "forecast") {
+        this.ctx.fillStyle = "rgba(52, 152, 219, 0.35)";
+        this.ctx.strokeStyle = "#3498db";
+      } else {
+        this.ctx.fillStyle = p.price >= 0 ? "#22c55e" : "#ef4444";
+        this.ctx.strokeStyle = this.ctx.fillStyle;
+      }
+      const top = Math.min(y, zeroY);
+      const h = Math.max(1, Math.abs(y - zeroY));
+      this.ctx.fillRect(x - barW / 2, top, barW, h);
+      if (p.kind === "forecast") this.ctx.strokeRect(x - barW / 2, top, barW, h);
+    });
 
-    if (this.mode === "candlestick") {
-      stockData.forEach((d, idx) => {
-        const x = this.timeToX(idx, Math.max(1, totalPoints - 1));
-        this.drawCandlestick(d, x);
+    this.overlayReturns().forEach((o) => {
+      this.ctx.strokeStyle = o.color;
+      this.ctx.fillStyle = o.color;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.setLineDash([3, 3]);
+      this.ctx.beginPath();
+      o.points.forEach((p, i) => {
+        if (i === 0) this.ctx.moveTo(this.timeToX(p.time), this.priceToY(p.value));
+        else this.ctx.lineTo(this.timeToX(p.time), this.priceToY(p.value));
       });
-    } else {
-      this.drawHistoricalLine(totalPoints);
-    }
-
-    this.drawPredictionLine(totalPoints);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      o.points.forEach((p) => {
+        this.ctx.beginPath();
+        this.ctx.arc(this.timeToX(p.time), this.priceToY(p.value), 3, 0, 2 * Math.PI);
+        this.ctx.fill();
+      });
+    });
   }
-}
 
-// ------------------------
-// UI helpers
-// ------------------------
+  // Uncertainty cone around the forecast: light fill with dashed bounds.
+  drawForecastBand() {
+    if (forecastBand.length < 2) return;
+    this.ctx.save();
+    this.ctx.fillStyle = "rgba(52, 152, 219, 0.1)";
+    this.ctx.beginPath();
+    forecastBand.forEach((b, i) => {
+      if (i === 0) this.ctx.moveTo(this.timeToX(b.time), this.priceToY(b.upper));
+      else this.ctx.lineTo(this.timeToX(b.time), this.priceToY(b.upper));
+    });
+    forecastBand
+      .slice()
+      .reverse()
+      .forEach((b) => this.ctx.lineTo(this.timeToX(b.time), this.priceToY(b.lower)));
+    this.ctx.closePath();
+    this.ctx.fill();
+
+    this.ctx.strokeStyle = "rgba(52, 152, 219, 0.6)";
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 3]);
+    ["upper", "lower"].forEach((edge) => {
+      this.ctx.beginPath();
+      forecastBand.forEach((b, i) => {
+        if (i === 0) this.ctx.moveTo(this.timeToX(b.time), this.priceToY(b[edge]));
+        else this.ctx.lineTo(this.timeToX(b.time), this.priceToY(b[edge]));
+      });
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
+  }
+
+  // Shaded area between the lowest and highest ensemble member at each step.
+  drawSpreadBand() {
+    if (ensembleSpread.length < 2) return;
+    this.ctx.fillStyle = "rgba(52, 152, 219, 0.15)";
+    this.ctx.beginPath();
+    ensembleSpread.forEach((b, i) => {
+      const x = this.timeToX(b.time);
+      const y = this.priceToY(b.max);
+      if (i === 0) this.ctx.moveTo(x, y);
+      else this.ctx.lineTo(x, y);
+    });
+    ensembleSpread
+      .slice()
+      .reverse()
+      .forEach((b) => this.ctx.lineTo(this.timeToX(b.time), this.priceToY(b.min)));
+    this.ctx.closePath();
+    this.ctx.fill();
+  }
+
+  // SMA / EMA lines and the Bollinger band; dashed over the forecast steps.
+  drawIndicatorOverlays() {
+    const ind = this.indicators;
+    const x = (t) => this.timeToX(t);
+    const y = (v) => this.priceToY(v);
+
+    if (ind.bb) {
+      const pts = ind.bb.map((b, t) => (b ? { t, ...b } : null)).filter(Boolean);
+      if (pts.length > 1) {
+        this.ctx.fillStyle = "rgba(22, 160, 133, 0.08)";
+        this.ctx.beginPath();
+        pts.forEach((p, i) => (i ? this.ctx.lineTo(x(p.t), y(p.upper)) : this.ctx.moveTo(x(p.t), y(p.upper))));
+        pts.slice().reverse().forEach((p) => this.ctx.lineTo(x(p.t), y(p.lower)));
+        this.ctx.closePath();
+        this.ctx.fill();
+      }
+      strokeSplitSeries(this.ctx, ind.bb.map((b) => (b ? b.upper : null)), x, y, ind.baseT, INDICATOR_COLORS.bb, 1);
+      strokeSplitSeries(this.ctx, ind.bb.map((b) => (b ? b.lower : null)), x, y, ind.baseT, INDICATOR_COLORS.bb, 1);
+      strokeSplitSeries(this.ctx, ind.bb.map((b) => (b ? b.mid : null)), x, y, ind.baseT, "rgba(22, 160, 133, 0.5)", 1);
+    }
+    if (ind.sma) strokeSplitSeries(this.ctx, ind.sma, x, y, ind.baseT, INDICATOR_COLORS.sma, 1.5);
+    if (ind.ema) strokeSplitSeries(this.ctx, ind.ema, x, y, ind.baseT, INDICATOR_COLORS.ema, 1.5);
+  }
+
+  // Benchmarks: thin dotted lines from the last actual close.
+  drawBenchmarkLines() {
+    const last = stockData[stockData.length - 1];
+    if (!last) return;
+    this.indicators.benchmarks.forEach((b) => {
+      this.ctx.save();
+      this.ctx.strokeStyle = b.color;
+      this.ctx.lineWidth = 1.25;
+      this.ctx.setLineDash([2, 3]);
+      this.ctx.beginPath();
+      [{ time: last.time, price: last.close }, ...b.points].forEach((pt, i) => {
+        const x = this.timeToX(pt.time);
+        const y = this.priceToY(pt.price);
+        if (i === 0) this.ctx.moveTo(x, y);
+        else this.ctx.lineTo(x, y);
+      });
+      this.ctx.stroke();
+      this.ctx.restore();
+    });
+  }
+
+  // Comparison lines: each starts at the last actual close like the main forecast.
+  drawOverlayLines() {
+    const last = stockData[stockData.length - 1];
+    this.visibleOverlays().forEach((o) => {
+      const pts = last ? [{ time: last.time, price: last.close }, ...o.points] : o.points;
+
+      this.ctx.strokeStyle = o.color;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      pts.forEach((pt, i) => {
+        const x = this.timeToX(pt.time);
+        const y = this.priceToY(pt.price);
+        if (i === 0) this.ctx.moveTo(x, y);
+        else this.ctx.lineTo(x, y);
+      });
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = o.color;
+      o.points.forEach((pt) => {
+        this.ctx.beginPath();
+        this.ctx.arc(this.timeToX(pt.time), this.priceToY(pt.price), 2.5, 0, 2 * Math.PI);
+        this.ctx.fill();
+      });
+    });
+  }
+
+  // Dashed guide across the plot at a highlighted price (last close / last forecast step).
+  drawPriceGuide(price, color) {
+    if (typeof price !== "number" || !Number.isFinite(price)) return;
+    const y = this.priceToY(price);
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.globalAlpha = 0.6;
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.padding.left, y);
+    this.ctx.lineTo(this.width - this.padding.right, y);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  getMarkers() {
+    const markers = [];
+    if (this.isReturns()) return markers;
+    if (stockData.length) {
+      markers.push({ price: stockData[stockData.length - 1].close, kind: "actual", title: "Last close" });
+    }
+    if (predictionData.length > 1) {
+      // predictionData starts with the bridge point at the last close
+      const horizon = predictionData.length - 1;
+      markers.push({ price: predictionData[horizon].price, kind: "forecast", title: `Step +${horizon} forecast` });
+    }
+    return markers;
+  }
+
+  // Price scale lives in the .y-axis overlay so labels stay crisp at any DPR.
+  renderPriceAxis() {
+    const host = this.yAxisEl;
+    if (!host) return;
+    host.innerHTML = "";
+    if (!this.hasData()) return;
+
+    const { step, ticks } = this.getPriceTicks();
+
+    ticks.forEach((price) => {
+      const label = document.createElement("div");
+      label.className = "y-label";
+      label.style.top = `${this.priceToY(price)}px`;
+      label.textContent = this.axisLabel(price, step);
+      host.appendChild(label);
+    });
+
+    this.getMarkers().forEach((m) => {
+      const marker = document.createElement("div");
+      marker.className = `y-marker ${m.kind}`;
+      marker.style.top = `${this.priceToY(m.price)}px`;
+      marker.title = m.title;
+      marker.textContent = formatPrice(m.price, m.price >= 1000 ? 0 : 2);
+      host.appendChild(marker);
+    });
+  }
+
+  // Clip series drawing to the plot so zoomed-out points don't spill into the axes.
+  clipToPlot() {
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(
+      this.padding.left,
+      0,
+      this.width - this.padding.left - this.padding.right,
+      this.height
+    );
+    this.ctx.clip();
+  }
+
+  // Everything drawn on the canvas itself (no DOM overlays, no crosshair).
+  drawFrame() {
+    this.indicators = computeIndicators();
+    this.setRangeFromData();
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
+    this.drawGridLines();
+
+    this.clipToPlot();
+    if (this.isReturns()) {
+      this.drawReturnBars();
+      this.ctx.restore();
+      this.drawPriceGuide(0, "#111827");
+      return;
+    }
+    if (this.mode === "candlestick") {
+      stockData.forEach((d, idx) => {
+        const x = this.timeToX(idx);
+        this.drawCandlestick(d, x);
+      });
+    } else {
+      this.drawHistoricalLine();
+    }
+
+    this.drawIndicatorOverlays();
+    this.drawBenchmarkLines();
+    this.drawForecastBand();
+    this.drawSpreadBand();
+    this.drawOverlayLines();
+    this.drawPredictionLine();
+    this.ctx.restore();
+
+    const colors = { actual: "#111827", forecast: "#3498db" };
+    this.getMarkers().forEach((m) => this.drawPriceGuide(m.price, colors[m.kind]));
+  }
+
+  // Price labels + markers painted onto the canvas (image export has no DOM overlay).
+  drawPriceAxisText() {
+    const { step, ticks } = this.getPriceTicks();
+    const x = this.width - 4;
+
+    this.ctx.font = "12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    this.ctx.textAlign = "right";
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillStyle = "#666";
+    ticks.forEach((price) => this.ctx.fillText(this.axisLabel(price, step), x, this.priceToY(price)));
+
+    const colors = { actual: "#111827", forecast: "#3498db" };
+    this.ctx.font = "600 11px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    this.getMarkers().forEach((m) => {
+      const text = formatPrice(m.price, m.price >= 1000 ? 0 : 2);
+      const w = this.ctx.measureText(text).width + 12;
+      const y = this.priceToY(m.price);
+      this.ctx.fillStyle = colors[m.kind];
+      this.ctx.fillRect(x - w, y - 8, w, 16);
+      this.ctx.fillStyle = "white";
+      this.ctx.fillText(text, x - 6, y);
+    });
+  }
+
+  // Draw the current view into a new canvas at `scale` x CSS pixels.
+  renderToCanvas(scale) {
+    const out = document.createElement("canvas");
+    out.width = Math.round(this.width * scale);
+    out.height = Math.round(this.height * scale);
+    const ctx = out.getContext("2d");
+    ctx.scale(scale, scale);
+
+    const screenCtx = this.ctx;
+    this.ctx = ctx;
+    try {
+      this.drawFrame();
+      if (this.hasData()) this.drawPriceAxisText();
+    } finally {
+      this.ctx = screenCtx;
+    }
+    return out;
+  }
+
+  render() {
+    this.totalPoints = this.computeTotalPoints();
+    if (this.view) this.view = this.clampView(this.view.start, this.view.end);
+    if (this.resetBtn) this.resetBtn.hidden = !this.isZoomed();
+
+    this.drawFrame();
+    this.renderPriceAxis();
+
+    const points = this.hasData() ? this.getPoints() : [];
+    const idx = points.findIndex((p) => p.time === this.hoverTime);
+    if (idx >= 0) {
+      this.drawCrosshair(points[idx]);
+      this.renderTooltip(points[idx], points[idx - 1]);
+    } else {
+      this.hoverTime = null;
+      this.renderTooltip(null);
+    }
+
+    if (this.onRender) this.onRender(this);
+  }
+}
+
+StockChart.MIN_VIEW_POINTS = 10;
+StockChart.ZOOM_STEP = 1.2; // view span multiplier per wheel notch
+
+// Sub-panel (RSI, MACD or volume) under the price chart. It has no time axis
+// of its own: x positions, zoom and the crosshair all come from `chart`.
+class IndicatorPanel {
+  constructor(canvasId, chart, kind) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext("2d");
+    this.wrapper = this.canvas.parentElement;
+    this.labelEl = this.wrapper.querySelector(".indicator-panel-label");
+    this.chart = chart;
+    this.kind = kind; // "rsi" | "macd" | "volume"
+    this.padding = { top: 8, bottom: 8 };
+    this.min = 0;
+    this.max = 100;
+    this.setupCanvas();
+    this.bindPointerEvents();
+  }
+
+  isVisible() {
+    return indicatorSettings[this.kind].on;
+  }
+
+  setupCanvas() {
+    this.wrapper.hidden = !this.isVisible();
+    const rect = this.canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = rect.height * dpr;
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(dpr, dpr);
+    this.width = rect.width;
+    this.height = rect.height;
+  }
+
+  // hovering or scrolling the panel drives the main chart
+  bindPointerEvents() {
+    const localX = (e) => e.clientX - this.canvas.getBoundingClientRect().left;
+    this.canvas.addEventListener("pointermove", (e) => this.chart.setHover(localX(e)));
+    this.canvas.addEventListener("pointerleave", () => this.chart.clearHover());
+    this.canvas.addEventListener("wheel", (e) => {
+      if (!this.chart.hasData()) return;
+      e.preventDefault();
+      this.chart.zoomAt(localX(e), e.deltaY > 0 ? StockChart.ZOOM_STEP : 1 / StockChart.ZOOM_STEP);
+    }, { passive: false });
+  }
+
+  valueToY(v) {
+    const h = this.height - this.padding.top - this.padding.bottom;
+    return this.padding.top + h * (1 - (v - this.min) / (this.max - this.min || 1));
+  }
+
+  // RSI is fixed at 0..100, volume runs from zero to the visible maximum and
+  // MACD is symmetric around zero over the visible points.
+  setRange(series, start, end) {
+    if (this.kind === "rsi") {
+      this.min = 0;
+      this.max = 100;
+      return;
+    }
+    if (this.kind === "volume") {
+      const visible = series.slice(Math.max(0, Math.floor(start)), Math.ceil(end) + 1).filter((v) => v !== null);
+      this.min = 0;
+      this.max = Math.max(0, ...visible) * 1.1 || 1;
+      return;
+    }
+    let extent = 0;
+    for (let t = Math.max(0, Math.floor(start)); t <= Math.ceil(end) && t < series.length; t++) {
+      const m = series[t];
+      if (m) extent = Math.max(extent, Math.abs(m.macd), Math.abs(m.signal || 0), Math.abs(m.hist || 0));
+    }
+    this.max = extent * 1.1 || 1;
+    this.min = -this.max;
+  }
+
+  drawGuide(value, text) {
+    const y = this.valueToY(value);
+    const right = this.width - this.chart.padding.right;
+    this.ctx.save();
+    this.ctx.strokeStyle = "rgba(0, 0, 0, 0.15)";
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.chart.padding.left, y);
+    this.ctx.lineTo(right, y);
+    this.ctx.stroke();
+    this.ctx.restore();
+
+    this.ctx.fillStyle = "#666";
+    this.ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    this.ctx.textAlign = "right";
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(text, this.width - 4, y);
+  }
+
+  render() {
+    const visible = this.isVisible();
+    if (this.wrapper.hidden === visible) return; // visibility changed: caller re-lays out
+    if (!visible) return;
+
+    const chart = this.chart;
+    const ind = chart.indicators;
+    const series = ind[this.kind];
+    const { start, end } = chart.getView();
+    this.ctx.clearRect(0, 0, this.width, this.height);
+    if (!series || !chart.hasData()) {
+      const missing = this.kind === "volume" && stockData.length;
+      this.labelEl.textContent = missing ? "Volume: not provided by the API" : this.title();
+      return;
+    }
+
+    this.setRange(series, start, end);
+    const x = (t) => chart.timeToX(t);
+    const y = (v) => this.valueToY(v);
+
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(chart.padding.left, 0, this.width - chart.padding.left - chart.padding.right, this.height);
+    this.ctx.clip();
+
+    if (this.kind === "rsi") {
+      strokeSplitSeries(this.ctx, series, x, y, ind.baseT, INDICATOR_COLORS.rsi, 1.5);
+    } else if (this.kind === "volume") {
+      // one bar per candle, coloured like it
+      const barW = Math.max(1, Math.min(8, chart.pointSpacing() * 0.6));
+      series.forEach((v, t) => {
+        if (v === null) return;
+        const d = stockData[t];
+        this.ctx.fillStyle = d.close >= d.open ? INDICATOR_COLORS.volumeUp : INDICATOR_COLORS.volumeDown;
+        this.ctx.fillRect(x(t) - barW / 2, y(v), barW, Math.max(1, y(0) - y(v)));
+      });
+    } else {
+      const barW = Math.max(1, Math.min(8, chart.pointSpacing() * 0.6));
+      series.forEach((m, t) => {
+        if (!m || m.hist === null) return;
+        this.ctx.fillStyle = m.hist >= 0 ? "rgba(34, 197, 94, 0.5)" : "rgba(239, 68, 68, 0.5)";
+        if (t > ind.baseT) this.ctx.fillStyle = m.hist >= 0 ? "rgba(34, 197, 94, 0.25)" : "rgba(239, 68, 68, 0.25)";
+        const y0 = y(0);
+        const y1 = y(m.hist);
+        this.ctx.fillRect(x(t) - barW / 2, Math.min(y0, y1), barW, Math.max(1, Math.abs(y1 - y0)));
+      });
+      strokeSplitSeries(this.ctx, series.map((m) => (m ? m.macd : null)), x, y, ind.baseT, INDICATOR_COLORS.macd, 1.5);
+      strokeSplitSeries(this.ctx, series.map((m) => (m ? m.signal : null)), x, y, ind.baseT, INDICATOR_COLORS.macdSignal, 1.2);
+    }
+
+    if (chart.hoverTime !== null) {
+      const hx = x(chart.hoverTime);
+      this.ctx.strokeStyle = "rgba(0, 0, 0, 0.35)";
+      this.ctx.setLineDash([4, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(hx, 0);
+      this.ctx.lineTo(hx, this.height);
+      this.ctx.stroke();
+    }
+    this.ctx.restore();
+
+    if (this.kind === "rsi") {
+      this.drawGuide(70, "70");
+      this.drawGuide(30, "30");
+    } else if (this.kind === "volume") {
+      this.drawGuide(this.max / 1.1, formatVolume(this.max / 1.1));
+    } else {
+      this.drawGuide(0, "0");
+    }
+
+    // value under the crosshair, else the latest value
+    const t = chart.hoverTime !== null && chart.hoverTime < series.length ? chart.hoverTime : series.length - 1;
+    this.labelEl.textContent = `${this.title()}${this.valueText(series[t])}`;
+  }
+
+  title() {
+    const s = indicatorSettings[this.kind];
+    if (this.kind === "volume") return "Volume";
+    return this.kind === "rsi" ? `RSI ${s.period}` : `MACD ${s.fast}, ${s.slow}, ${s.signal}`;
+  }
+
+  valueText(v) {
+    if (v === null || v === undefined) return "";
+    if (this.kind === "rsi") return `: ${v.toFixed(1)}`;
+    if (this.kind === "volume") return `: ${formatVolume(v)}`;
+    const signal = v.signal === null ? "-" : v.signal.toFixed(2);
+    return `: ${v.macd.toFixed(2)} · signal ${signal}`;
+  }
+}
+
+// ------------------------
+// Returns panel (histogram + stats, returns view only)
+// ------------------------
+function histogramBins(values, count) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / count || 1e-6;
+  const bins = Array.from({ length: count }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, n: 0 }));
+  values.forEach((v) => {
+    bins[Math.min(count - 1, Math.floor((v - min) / width))].n++;
+  });
+  return bins;
+}
+
+// Daily returns as bars, the mean as a dashed line, the implied forecast
+// returns as ticks under the axis and the hovered day's bin highlighted.
+function drawReturnsHistogram(canvas, actual, forecast, hovered, mean) {
+  const rect = canvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, rect.width, rect.height);
+  if (actual.length < 2) return;
+
+  const pad = { left: 8, right: 8, top: 8, bottom: 20 };
+  const bins = histogramBins(actual, Math.max(5, Math.min(20, Math.round(Math.sqrt(actual.length)))));
+  const lo = Math.min(bins[0].from, ...forecast);
+  const hi = Math.max(bins[bins.length - 1].to, ...forecast);
+  const maxN = Math.max(...bins.map((b) => b.n));
+  const plotW = rect.width - pad.left - pad.right;
+  const plotH = rect.height - pad.top - pad.bottom;
+  const xOf = (v) => pad.left + ((v - lo) / (hi - lo || 1)) * plotW;
+
+  bins.forEach((b) => {
+    const h = (b.n / maxN) * plotH;
+    const isHovered = hovered !== null && hovered >= b.from && hovered <= b.to;
+    ctx.fillStyle = isHovered ? "#111827" : b.to <= 0 ? "rgba(239, 68, 68, 0.6)" : b.from >= 0 ? "rgba(34, 197, 94, 0.6)" : "rgba(107, 114, 128, 0.6)";
+    ctx.fillRect(xOf(b.from) + 1, pad.top + plotH - h, Math.max(1, xOf(b.to) - xOf(b.from) - 2), h);
+  });
+
+  ctx.strokeStyle = "#111827";
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(xOf(mean), pad.top);
+  ctx.lineTo(xOf(mean), pad.top + plotH);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = "#3498db";
+  forecast.forEach((v) => ctx.fillRect(xOf(v) - 1.5, pad.top + plotH + 2, 3, 8));
+
+  ctx.fillStyle = "#666";
+  ctx.font = "11px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+  ctx.textBaseline = "bottom";
+  ctx.textAlign = "left";
+  ctx.fillText(formatReturn(lo, 1), pad.left, rect.height);
+  ctx.textAlign = "right";
+  ctx.fillText(formatReturn(hi, 1), rect.width - pad.right, rect.height);
+}
+
+// Candlesticks built from closes only get a visible "synthetic" badge.
+function updateCandleBadge(chart) {
+  document.getElementById("syntheticBadge").hidden =
+    !(chart.mode === "candlestick" && !chart.isReturns() && stockData.length && stockCandlesSynthetic);
+}
+
+function renderReturnsPanel(chart) {
+  const panel = document.getElementById("returnsPanel");
+  const show = chart.isReturns() && stockData.length > 1;
+  panel.hidden = !show;
+  if (!show) return;
+
+  const actual = stockData.map((d) => d.ret).filter((v) => typeof v === "number");
+  const baseT = stockData.length - 1;
+  const last = stockData[baseT];
+  const forecastPath = predictionData.filter((p) => p.time > baseT);
+  const forecast = impliedReturns(last.close, forecastPath, stockReturnType).map((r) => r.value).filter((v) => v !== null);
+  const stats = returnStats(actual);
+  const hoverPoint = stockData[chart.hoverTime];
+  const hovered = hoverPoint && typeof hoverPoint.ret === "number" ? hoverPoint.ret : null;
+
+  const type = RETURN_TYPE_LABELS[stockReturnType];
+  const first = stockData[0];
+  const rows = [
+    [`Mean daily ${type.toLowerCase()} return`, formatReturn(stats && stats.mean, 3)],
+    ["Volatility (daily)", stats ? `${(stats.sd * 100).toFixed(2)}%` : "-"],
+    ["Volatility (annualized)", stats ? `${(stats.annualSd * 100).toFixed(1)}%` : "-"],
+    ["Up days", stats ? `${Math.round(stats.upShare * 100)}% of ${stats.n}` : "-"],
+    [`Cumulative since ${formatShortDate(first.date)}`, formatReturn(periodReturn(first.close, last.close, stockReturnType))],
+  ];
+  if (forecastPath.length) {
+    const end = forecastPath[forecastPath.length - 1];
+    rows.push([`Forecast to step +${forecastPath.length}`, formatReturn(periodReturn(last.close, end.price, stockReturnType))]);
+  }
+
+  document.getElementById("returnsTitle").textContent = `${type} returns · ${stockData.length} days`;
+  document.getElementById("returnsStats").innerHTML = rows
+    .map(([k, v]) => `<dt>${escapeHTML(k)}</dt><dd>${v}</dd>`)
+    .join("");
+  drawReturnsHistogram(document.getElementById("returnsHistogram"), actual, forecast, hovered, stats ? stats.mean : 0);
+}
+
+// ------------------------
+// Indicator controls
+// ------------------------
+const INDICATOR_LIMITS = { period: [2, 200], fast: [2, 100], slow: [3, 200], signal: [2, 50], mult: [0.5, 4] };
+
+function loadIndicatorSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY) || "null");
+    if (!saved || typeof saved !== "object") return;
+    Object.keys(indicatorSettings).forEach((name) => {
+      if (saved[name] && typeof saved[name] === "object") {
+        Object.keys(indicatorSettings[name]).forEach((param) => {
+          const value = saved[name][param];
+          if (typeof value === typeof indicatorSettings[name][param]) indicatorSettings[name][param] = value;
+        });
+      }
+    });
+  } catch (e) {
+    console.warn("Ignoring invalid saved indicator settings:", e);
+  }
+}
+
+function saveIndicatorSettings() {
+  try {
+    localStorage.setItem(INDICATOR_STORAGE_KEY, JSON.stringify(indicatorSettings));
+  } catch (e) {
+    console.warn("Could not save indicator settings:", e);
+  }
+}
+
+// Read the sidebar controls into indicatorSettings, clamping the numbers.
+function readIndicatorControls() {
+  document.querySelectorAll("#indicatorControls [data-indicator]").forEach((box) => {
+    indicatorSettings[box.dataset.indicator].on = box.checked;
+  });
+  document.querySelectorAll("#indicatorControls [data-param]").forEach((input) => {
+    const [name, param] = input.dataset.param.split(".");
+    const [min, max] = INDICATOR_LIMITS[param];
+    let value = Number(input.value);
+    if (!Number.isFinite(value)) value = indicatorSettings[name][param];
+    value = Math.min(max, Math.max(min, param === "mult" ? value : Math.round(value)));
+    indicatorSettings[name][param] = value;
+    input.value = value;
+  });
+  // MACD needs fast < slow
+  const macd = indicatorSettings.macd;
+  if (macd.fast >= macd.slow) {
+    macd.slow = macd.fast + 1;
+    document.querySelector('#indicatorControls [data-param="macd.slow"]').value = macd.slow;
+  }
+}
+
+function fillIndicatorControls() {
+  document.querySelectorAll("#indicatorControls [data-indicator]").forEach((box) => {
+    box.checked = indicatorSettings[box.dataset.indicator].on;
+  });
+  document.querySelectorAll("#indicatorControls [data-param]").forEach((input) => {
+    const [name, param] = input.dataset.param.split(".");
+    input.value = indicatorSettings[name][param];
+  });
+}
+
+function initIndicatorControls(chart, panels) {
+  loadIndicatorSettings();
+  fillIndicatorControls();
+  readIndicatorControls(); // clamps anything out of range in the saved settings
+
+  const apply = () => {
+    readIndicatorControls();
+    saveIndicatorSettings();
+    // showing/hiding a sub-panel changes the price chart's height
+    panels.forEach((p) => p.setupCanvas());
+    chart.setupCanvas();
+    chart.render();
+  };
+  document.getElementById("indicatorControls").addEventListener("change", apply);
+  panels.forEach((p) => p.setupCanvas());
+}
+
+// ------------------------
+// UI helpers
+// ------------------------
 function showLoadingScreen() {
   const overlay = document.getElementById("loadingOverlay");
   requestAnimationFrame(() => overlay.classList.add("show"));
 
-  ["step1", "step2", "step3"].forEach((id) => {
-    const el = document.getElementById(id);
-    el.classList.remove("active", "completed");
-  });
-  document.getElementById("step1").classList.add("active");
+  [1, 2, 3].forEach((n) => updateLoadingStep(n, null));
+  updateLoadingStep(1, "active");
+  setLoadingFailures(null);
+}
+
+function setLoadingStepText(stepNumber, text) {
+  document.querySelector(`#step${stepNumber} .loading-step-label`).textContent = text;
 }
 
-function updateLoadingStep(stepNumber, status) {
+// status: "active" | "completed" | "cached" | "failed" (detail: the error message)
+function updateLoadingStep(stepNumber, status, detail) {
   const step = document.getElementById(`step${stepNumber}`);
-  step.classList.remove("active", "completed");
-  if (status === "active") step.classList.add("active");
-  if (status === "completed") step.classList.add("completed");
+  step.classList.remove("active", "completed", "cached", "failed");
+  if (status) step.classList.add(status);
+  step.querySelector(".loading-step-detail").textContent = status === "cached" ? "from cache" : detail || "";
+  step.querySelector(".loading-step-retry").hidden = status !== "failed";
+}
+
+// Failed steps keep the overlay open; `closeLabel` names what closing it does.
+function setLoadingFailures(closeLabel) {
+  const content = document.querySelector("#loadingOverlay .loading-content");
+  content.classList.toggle("has-failures", Boolean(closeLabel));
+  document.getElementById("loadingTitle").textContent = closeLabel ? "Some steps failed" : "Predicting Stock Price...";
+  document.getElementById("loadingActions").hidden = !closeLabel;
+  document.getElementById("btnLoadingClose").textContent = closeLabel || "Close";
+}
+
+function showMockBadge() {
+  const badge = document.getElementById("mockBadge");
+  if (badge) badge.style.display = isMockMode() ? "inline-block" : "none";
+}
+
+const RUN_ERROR_TITLES = {
+  network: "Can't reach the API",
+  timeout: "The API took too long to answer",
+  auth: "The API refused the request",
+  validation: "The API rejected the request",
+  server: "The API failed",
+  schema: "The API sent data the app can't use",
+};
+
+// Inline error box above the chart; replaces the old alert() for run failures.
+function showRunError(error) {
+  const box = document.getElementById("runError");
+  box.querySelector(".run-error-title").textContent = RUN_ERROR_TITLES[error.kind] || "Prediction failed";
+  box.querySelector(".run-error-message").textContent = error.message;
+  box.hidden = false;
+}
+
+function clearRunError() {
+  document.getElementById("runError").hidden = true;
+}
+
+function hideLoadingScreen() {
+  document.getElementById("loadingOverlay").classList.remove("show");
+}
+
+function setModelHint(text) {
+  document.getElementById("modelHint").textContent = text || "";
+}
+
+// Disable the models the catalog has no combination for with the selected
+// method; each disabled option carries the reason as its tooltip.
+function enforceModelRules() {
+  const scenario = document.getElementById("scenarioSelect").value;
+  const modelSelect = document.getElementById("modelSelect");
+  const reasons = [];
+
+  [...modelSelect.options].forEach((o) => {
+    const reason = combinationReason(scenario, o.value);
+    o.disabled = Boolean(reason);
+    o.title = reason;
+    if (reason) reasons.push(reason);
+  });
+
+  const current = modelSelect.selectedOptions[0];
+  if (!current || current.disabled) {
+    const first = [...modelSelect.options].find((o) => !o.disabled);
+    if (first) modelSelect.value = first.value;
+  }
+  setModelHint(reasons.length ? `Note: ${reasons.join(" ")}` : "");
+}
+
+// Candles from the /recent OHLCV arrays when all of open/high/low are there
+// (volume is optional); otherwise derived from the closes.
+function ohlcFromRecent(recent, closes) {
+  const field = (name) => (recent && Array.isArray(recent[name]) && recent[name].length === closes.length ? recent[name] : null);
+  const [open, high, low, volume] = ["open", "high", "low", "volume"].map(field);
+  const candles = open && high && low
+    ? closes.map((close, i) => ({ time: i, open: open[i], high: high[i], low: low[i], close }))
+    : toOHLCFromCloses(closes);
+  if (volume) candles.forEach((c, i) => { c.volume = volume[i]; });
+  return { candles, synthetic: !(open && high && low) };
+}
+
+// "1.2B", "34.5M", "850K": shares traded
+function formatVolume(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "-";
+  const units = [[1e9, "B"], [1e6, "M"], [1e3, "K"]];
+  const unit = units.find(([n]) => Math.abs(v) >= n);
+  return unit ? `${(v / unit[0]).toFixed(v / unit[0] >= 100 ? 0 : 1)}${unit[1]}` : String(Math.round(v));
+}
+
+// Closes-only fallback: each candle opens at the previous close, no wicks.
+function toOHLCFromCloses(closes) {
+  const out = [];
+  for (let i = 0; i < closes.length; i++) {
+    const close = Number(closes[i]);
+    const prev = i === 0 ? close : Number(closes[i - 1]);
+    const open = prev;
+    const high = Math.max(open, close);
+    const low = Math.min(open, close);
+    out.push({ time: i, open, high, low, close });
+  }
+  return out;
+}
+
+function updateHeader(ticker, recentDates, forecastDates) {
+  document.getElementById("headerStock").textContent = ticker;
+  const range = document.getElementById("headerRange");
+  range.title = "";
+  if (Array.isArray(recentDates) && recentDates.length) {
+    const start = recentDates[0];
+    const end = (forecastDates && forecastDates.length) ? forecastDates[forecastDates.length - 1] : recentDates[recentDates.length - 1];
+    const horizon = forecastDates ? forecastDates.length : 0;
+    let text = `${start} - ${end} (last ${recentDates.length} sessions + ${horizon}-step forecast)`;
+
+    const gaps = findTradingGaps(recentDates);
+    if (gaps.length) {
+      const missing = gaps.reduce((acc, g) => acc.concat(g.missing), []);
+      text += ` · ${missing.length} missing session${missing.length === 1 ? "" : "s"}`;
+      range.title = `No data for trading days: ${missing.join(", ")}`;
+    }
+    range.textContent = text;
+  } else {
+    range.textContent = "Last 30 days + 5-step forecast";
+  }
+}
+
+// "Data as of" line under the chart, from the /recent payload's cache metadata.
+function renderDataStatus(recent) {
+  const el = document.getElementById("dataStatus");
+  const dates = recent && Array.isArray(recent.dates) ? recent.dates : [];
+  if (!dates.length) {
+    el.textContent = "";
+    return;
+  }
+  const last = dates[dates.length - 1];
+  let text = `Data as of ${weekdayName(last)} ${formatShortDate(last)} ${last.slice(0, 4)} close`;
+
+  const meta = responseMeta(recent);
+  if (meta) {
+    const fetched = new Date(meta.fetchedAt);
+    const sameDay = fetched.toDateString() === new Date().toDateString();
+    const time = fetched.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    text += ` · fetched ${sameDay ? time : `${fetched.toLocaleDateString()} ${time}`}`;
+    if (meta.stale) text += " (updating...)";
+    else if (meta.fromCache) text += " (cached)";
+  }
+  el.textContent = text;
+}
+
+function updateBandLabel() {
+  document.getElementById("bandLabel").textContent = forecastBandLabel();
+}
+
+function updateModelDetails(scenario, model, da) {
+  document.getElementById("methodLabel").textContent = scenario;
+  document.getElementById("modelLabel").textContent = model;
+  document.getElementById("daLabel").textContent =
+    typeof da === "number" && !Number.isNaN(da) ? `${da.toFixed(2)}%` : "-";
+}
+
+// Price indicator (step +5) + direction/current/DA details card.
+function renderPredictionSummary(lastClose, predPrices, da, forecastDates) {
+  // predicted price (step +5)
+  const lastPred = predPrices.length ? predPrices[predPrices.length - 1] : null;
+  document.querySelector(".price-value").textContent =
+    typeof lastPred === "number" && !Number.isNaN(lastPred) ? lastPred.toFixed(2) : "-";
+
+  // details panel
+  const detailsDiv = document.getElementById("predictionDetails");
+  const directionValue = document.getElementById("directionValue");
+  const currentPriceValue = document.getElementById("currentPriceValue");
+  const confidenceValue = document.getElementById("confidenceValue");
+
+  if (typeof lastClose === "number" && !Number.isNaN(lastClose)) {
+    currentPriceValue.textContent = lastClose.toFixed(2);
+  } else {
+    currentPriceValue.textContent = "-";
+  }
+
+  // direction based on step+5 vs current
+  if (typeof lastClose === "number" && !Number.isNaN(lastClose) && typeof lastPred === "number" && !Number.isNaN(lastPred)) {
+    const dir = lastPred >= lastClose ? "UP" : "DOWN";
+    directionValue.textContent = dir;
+    directionValue.style.color = dir === "UP" ? "#22c55e" : "#ef4444";
+  } else {
+    directionValue.textContent = "-";
+    directionValue.style.color = "";
+  }
+
+  confidenceValue.textContent =
+    typeof da === "number" && !Number.isNaN(da) ? `${da.toFixed(2)}%` : "-";
+
+  const steps = forecastSteps(lastClose, predPrices);
+  document.getElementById("pathValue").textContent = steps.length ? forecastPathSummary(steps) : "-";
+  renderForecastBreakdown(steps, forecastDates || []);
+
+  detailsDiv.style.display = "block";
+}
+
+// Refill the chart buffers from a /recent window and a forecast path.
+// `recent` is the /recent payload the closes came from (OHLCV and returns).
+function fillChartBuffers(closes, dates, predPrices, forecastDates, recent) {
+  stockData.length = 0;
+  predictionData.length = 0;
+  forecastBand.length = 0;
+  forecastBandInfo = null;
+
+  const rets = recentReturns(recent, closes);
+  stockReturnType = rets.type;
+  const { candles, synthetic } = ohlcFromRecent(recent, closes);
+  stockCandlesSynthetic = synthetic;
+  candles.forEach((d, i) => stockData.push({ ...d, date: dates[i], ret: rets.values[i] }));
+
+  if (!predPrices.length) return;
+
+  // align prediction times:
+  // - last historical index is (N-1) (t)
+  // - add a BRIDGE point at t so the forecast line connects with the last actual close
+  // - predictions start at (t+1)
+  const baseT = Math.max(0, stockData.length - 1);
+  const lastActual = stockData.length ? Number(stockData[baseT].close) : null;
+
+  if (typeof lastActual === "number" && !Number.isNaN(lastActual)) {
+    // bridge point at t
+    predictionData.push({ time: baseT, price: lastActual, date: dates[baseT] });
+  }
+
+  predPrices.forEach((p, i) => {
+    predictionData.push({ time: baseT + (i + 1), price: p, date: forecastDates[i] });
+  });
+}
+
+// Forecast rows show the forecastBand bounds next to the price.
+function renderSeriesTable(recentDates, recentCloses, forecastDates, forecastPrices) {
+  const host = document.getElementById("seriesTable");
+  if (!host) return;
+
+  const rows = [];
+  const gapAt = new Map(findTradingGaps(recentDates).map((g) => [g.index, g.missing]));
+
+  // last 20
+  for (let i = 0; i < recentDates.length; i++) {
+    const price = Number(recentCloses[i]);
+    const prev = i ? Number(recentCloses[i - 1]) : NaN;
+    rows.push({
+      date: recentDates[i],
+      price,
+      tag: "actual",
+      gap: gapAt.get(i) || null,
+      vsPrev: prev > 0 ? { diff: price - prev, pct: ((price - prev) / prev) * 100 } : null,
+    });
+  }
+
+  // next 5
+  const baseT = recentDates.length - 1;
+  const steps = forecastSteps(Number(recentCloses[baseT]), forecastPrices.map(Number));
+  for (let i = 0; i < forecastDates.length; i++) {
+    const step = steps[i];
+    rows.push({
+      date: forecastDates[i],
+      price: Number(forecastPrices[i]),
+      tag: "forecast",
+      band: forecastBand.find((b) => b.time === baseT + i + 1) || null,
+      vsClose: step ? { diff: step.vsClose, pct: step.vsClosePct } : null,
+      vsPrev: step ? { diff: step.vsPrev, pct: step.vsPrevPct } : null,
+    });
+  }
+  const bandHeader = forecastBandInfo ? `<th>${Math.round(forecastBandInfo.level * 100)}% band</th>` : "";
+  const change = (c) => (c ? changeCell(c.diff, c.pct) : "<td></td>");
+
+  host.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Day</th>
+          <th>Close</th>
+          <th>vs last close</th>
+          <th>vs prev</th>
+          ${bandHeader}
+          <th>Type</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map((r) => {
+            const price = typeof r.price === "number" && !Number.isNaN(r.price) ? r.price.toFixed(2) : "-";
+            const gapTag = r.gap
+              ? ` <span class="tag gap" title="No data for ${escapeHTML(r.gap.join(", "))}">gap: ${r.gap.length} missing</span>`
+              : "";
+            const band = !bandHeader ? "" : r.band
+              ? `<td class="muted">${r.band.lower.toFixed(2)} – ${r.band.upper.toFixed(2)}</td>`
+              : "<td></td>";
+            return `
+              <tr>
+                <td>${escapeHTML(r.date)}</td>
+                <td>${weekdayName(r.date)}</td>
+                <td>${price}</td>
+                ${change(r.vsClose)}
+                ${change(r.vsPrev)}
+                ${band}
+                <td><span class="tag">${r.tag}</span>${gapTag}</td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// What the x-axis labels: number of historical/forecast points and, once a
+// prediction ran, the session date of every point (historical then forecast).
+const xAxisState = { lookback: 30, horizon: 5, dates: null };
+
+function setXAxisData(lookback, horizon, dates) {
+  xAxisState.lookback = lookback;
+  xAxisState.horizon = horizon;
+  xAxisState.dates = Array.isArray(dates) && dates.length === lookback + horizon ? dates : null;
+}
+
+// Labels for the chart's current view: [{ time, x, text, title, forecast }].
+// Labels are thinned to a round step counted back from t, long windows switch to
+// month-start labels, and t plus the forecast steps win any overlap.
+function computeXAxisLabels(chart) {
+  const { lookback, horizon, dates } = xAxisState;
+  const total = lookback + horizon;
+  const tIndex = lookback - 1;
+  const { start, end } = chart.getView();
+  const first = Math.max(0, Math.ceil(start));
+  const last = Math.min(total - 1, Math.floor(end));
+
+  const minGap = dates ? 56 : 36; // px between label centres
+  const every = Math.max(1, Math.ceil(minGap / Math.max(1e-6, chart.pointSpacing())));
+  const step = [1, 2, 5, 10, 20, 50, 100].find((v) => v >= every) || every;
+
+  const candidates = [];
+  for (let i = first; i <= last; i++) {
+    if (i > tIndex) {
+      const stepNo = i - tIndex;
+      candidates.push({
+        time: i,
+        text: dates ? formatShortDate(dates[i]) : `+${stepNo}`,
+        title: dates ? `Step +${stepNo} (${dates[i]})` : `Step +${stepNo}`,
+        forecast: true,
+        priority: 2,
+      });
+      continue;
+    }
+
+    const fromT = tIndex - i;
+    if (dates && step >= 20) {
+      const monthStart = i === 0 || dates[i].slice(0, 7) !== dates[i - 1].slice(0, 7);
+      if (monthStart) candidates.push({ time: i, text: formatMonthYear(dates[i]), title: dates[i], priority: 0 });
+    } else if (fromT % step === 0) {
+      candidates.push({
+        time: i,
+        text: dates ? formatShortDate(dates[i]) : fromT === 0 ? "t" : `t-${fromT}`,
+        title: dates ? dates[i] : "",
+        priority: fromT === 0 ? 3 : 0,
+      });
+    }
+  }
+
+  const placed = [];
+  candidates
+    .sort((a, b) => b.priority - a.priority || b.time - a.time)
+    .forEach((c) => {
+      const x = chart.timeToX(c.time);
+      if (placed.some((p) => Math.abs(p.x - x) < minGap)) return;
+      placed.push({ ...c, x });
+    });
+
+  return placed.sort((a, b) => a.time - b.time);
+}
+
+// Lays the labels out under the chart's current view (called after every render).
+function renderXAxis(chart) {
+  const xAxis = document.getElementById("xAxis");
+  if (!xAxis) return;
+  
+  xAxis.innerHTML = "";
+
+  computeXAxisLabels(chart).forEach((c) => {
+    const span = document.createElement("span");
+    if (c.forecast) span.className = "forecast";
+    span.style.left = `${c.x}px`;
+    span.textContent = c.text;
+    if (c.title) span.title = c.title;
+    xAxis.appendChild(span);
+  });
+}
+
+// ------------------------
+// Forecast breakdown (every step, not just +5)
+// ------------------------
+const FORECAST_FLAT_PCT = 0.05; // a move under 0.05% counts as flat
+const DIRECTION_ARROWS = { up: "▲", down: "▼", flat: "▬" };
+
+// Each step against the last close and against the point before it (the
+// last close for step +1).
+function forecastSteps(lastClose, predPrices) {
+  if (typeof lastClose !== "number" || !Number.isFinite(lastClose) || lastClose <= 0) return [];
+  return predPrices.map((price, i) => {
+    const prev = i ? predPrices[i - 1] : lastClose;
+    const vsPrevPct = ((price - prev) / prev) * 100;
+    return {
+      step: i + 1,
+      price,
+      vsClose: price - lastClose,
+      vsClosePct: ((price - lastClose) / lastClose) * 100,
+      vsPrev: price - prev,
+      vsPrevPct,
+      dir: Math.abs(vsPrevPct) < FORECAST_FLAT_PCT ? "flat" : vsPrevPct > 0 ? "up" : "down",
+    };
+  });
+}
+
+// Shape of the path: "steadily up", "up then reverting", "down then
+// recovering", "up with a pullback", "choppy", ... Flat steps don't start a
+// new leg.
+function forecastPathSummary(steps) {
+  const legs = [];
+  steps.forEach((s) => {
+    if (s.dir !== "flat" && legs[legs.length - 1] !== s.dir) legs.push(s.dir);
+  });
+  const net = steps.length ? steps[steps.length - 1].vsClosePct : 0;
+
+  if (!legs.length) return "flat";
+  if (legs.length === 1) {
+    // flat steps only change the shape when they lead or trail the move
+    const parts = [legs[0]];
+    if (steps[0].dir === "flat") parts.unshift("flat");
+    if (steps[steps.length - 1].dir === "flat") parts.push("flat");
+    return parts.length === 1 ? `steadily ${legs[0]}` : parts.join(", then ");
+  }
+  if (legs.length === 2) {
+    // a second leg that takes the price past the last close is a reversal
+    const reversed = legs[0] === "up" ? net < 0 : net > 0;
+    if (reversed) return `${legs[0]} then reversing`;
+    return legs[0] === "up" ? "up then reverting" : "down then recovering";
+  }
+  if (legs.length === 3 && legs[0] === legs[2]) return legs[0] === "up" ? "up with a pullback" : "down with a bounce";
+  return `choppy, ending ${Math.abs(net) < FORECAST_FLAT_PCT ? "flat" : net > 0 ? "up" : "down"}`;
+}
+
+// "+12.34 (+0.17%)"
+function formatChange(diff, pct) {
+  const sign = diff > 0 ? "+" : "";
+  return `${sign}${diff.toFixed(2)} (${sign}${pct.toFixed(2)}%)`;
+}
+
+function changeCell(diff, pct) {
+  const cls = diff > 0 ? "up" : diff < 0 ? "down" : "";
+  return `<td class="change ${cls}">${formatChange(diff, pct)}</td>`;
+}
+
+function renderForecastBreakdown(steps, forecastDates) {
+  const host = document.getElementById("forecastBreakdown");
+  host.hidden = !steps.length;
+  if (!steps.length) return;
+
+  const last = steps[steps.length - 1];
+  document.getElementById("forecastPath").textContent =
+    `${forecastPathSummary(steps)} · ${formatChange(last.vsClose, last.vsClosePct)} by step +${last.step}`;
+  host.querySelector("tbody").innerHTML = steps
+    .map((s, i) => `
+      <tr>
+        <td>+${s.step}</td>
+        <td>${forecastDates[i] ? `${escapeHTML(forecastDates[i])} <span class="muted">${weekdayName(forecastDates[i])}</span>` : "-"}</td>
+        <td>${s.price.toFixed(2)}</td>
+        ${changeCell(s.vsClose, s.vsClosePct)}
+        ${changeCell(s.vsPrev, s.vsPrevPct)}
+        <td class="direction ${s.dir}" title="${s.dir} vs ${s.step === 1 ? "last close" : `step +${s.step - 1}`}">${DIRECTION_ARROWS[s.dir]}</td>
+      </tr>
+    `)
+    .join("");
+}
+
+// ------------------------
+// Position calculator (math in position-sizing.js)
+// ------------------------
+// Buys at the last close of the run on the chart and sells at each forecast
+// step (and at the band bounds when the run has a band). Fees and tax are
+// entered in percent.
+const POSITION_STORAGE_KEY = "prethesis.position";
+const positionSettings = { sizeMode: "capital", capital: 10000000, lots: 10, buyFee: 0.15, sellFee: 0.15, sellTax: 0.1 };
+const POSITION_LIMITS = { capital: [0, 1e13], lots: [1, 1e7], buyFee: [0, 5], sellFee: [0, 5], sellTax: [0, 5] };
+const POSITION_INPUTS = { capital: "calcCapital", lots: "calcLots", buyFee: "calcBuyFee", sellFee: "calcSellFee", sellTax: "calcSellTax" };
+
+function loadPositionSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(POSITION_STORAGE_KEY) || "null");
+    if (!saved || typeof saved !== "object") return;
+    Object.keys(positionSettings).forEach((key) => {
+      if (typeof saved[key] === typeof positionSettings[key]) positionSettings[key] = saved[key];
+    });
+  } catch (e) {
+    console.warn("Ignoring invalid saved position settings:", e);
+  }
+}
+
+function savePositionSettings() {
+  try {
+    localStorage.setItem(POSITION_STORAGE_KEY, JSON.stringify(positionSettings));
+  } catch (e) {
+    console.warn("Could not save position settings:", e);
+  }
+}
+
+// Read the calculator inputs into positionSettings, clamping the numbers.
+function readPositionControls() {
+  positionSettings.sizeMode = document.getElementById("calcSizeMode").value === "lots" ? "lots" : "capital";
+  Object.entries(POSITION_INPUTS).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    const [min, max] = POSITION_LIMITS[key];
+    let value = Number(input.value);
+    if (input.value === "" || !Number.isFinite(value)) value = positionSettings[key];
+    value = Math.min(max, Math.max(min, key === "lots" ? Math.round(value) : value));
+    positionSettings[key] = value;
+    input.value = value;
+  });
+}
+
+function fillPositionControls() {
+  document.getElementById("calcSizeMode").value = positionSettings.sizeMode;
+  Object.entries(POSITION_INPUTS).forEach(([key, id]) => {
+    document.getElementById(id).value = positionSettings[key];
+  });
+  document.querySelectorAll("#positionCalculator [data-size]").forEach((el) => {
+    el.hidden = el.dataset.size !== positionSettings.sizeMode;
+  });
+}
+
+function positionFees() {
+  return { buy: positionSettings.buyFee / 100, sell: positionSettings.sellFee / 100, tax: positionSettings.sellTax / 100 };
+}
+
+function formatRupiah(value) {
+  return `${value < 0 ? "-" : ""}Rp ${formatPrice(Math.abs(value), 0)}`;
+}
+
+function pnlCells(result) {
+  const cls = result.pnl > 0 ? "up" : result.pnl < 0 ? "down" : "";
+  const sign = result.pnl > 0 ? "+" : "";
+  return `<td class="change ${cls}">${sign}${formatRupiah(result.pnl)}</td><td class="change ${cls}">${sign}${result.pnlPct.toFixed(2)}%</td>`;
+}
+
+let positionCalculatorKey = null; // skip rebuilding the tables on hover/zoom redraws
+
+function renderPositionCalculator() {
+  const host = document.getElementById("positionResults");
+  const last = stockData[stockData.length - 1];
+  const forecast = last ? predictionData.filter((p) => p.time > last.time) : [];
+  const key = JSON.stringify([positionSettings, last && last.close, forecast, forecastBand]);
+  if (key === positionCalculatorKey) return;
+  positionCalculatorKey = key;
+
+  if (!last || !forecast.length) {
+    host.innerHTML = `<p class="muted">Run a single-model or ensemble prediction to size a position on its forecast.</p>`;
+    return;
+  }
+
+  const fees = positionFees();
+  const entry = last.close;
+  const lots = positionSettings.sizeMode === "lots" ? positionSettings.lots : lotsForCapital(positionSettings.capital, entry, fees);
+  if (!lots) {
+    host.innerHTML = `<p class="muted">${formatRupiah(positionSettings.capital)} doesn't buy one lot (${IDX_LOT_SIZE} shares at ${formatPrice(entry, 2)}, fee included).</p>`;
+    return;
+  }
+
+  const position = openPosition(lots, entry, fees);
+  const breakEven = breakEvenPrice(entry, fees);
+  const cash = positionSettings.sizeMode === "capital" ? positionSettings.capital - position.cost : null;
+
+  const stepRows = forecast.map((p, i) => {
+    const result = closePosition(position, p.price, fees);
+    return `<tr><td>+${i + 1}</td><td>${formatPrice(p.price, 2)}</td>${pnlCells(result)}</tr>`;
+  });
+
+  const finalPoint = forecast[forecast.length - 1];
+  const bounds = forecastBand.find((b) => b.time === finalPoint.time);
+  const bandLabel = forecastBandInfo ? `${Math.round(forecastBandInfo.level * 100)}% band` : "band";
+  const scenarios = [
+    bounds && { label: `Lower ${bandLabel}`, price: bounds.lower },
+    { label: "Forecast", price: finalPoint.price },
+    bounds && { label: `Upper ${bandLabel}`, price: bounds.upper },
+  ].filter(Boolean);
+  const scenarioRows = scenarios.map((sc) => {
+    const result = closePosition(position, sc.price, fees);
+    return `<tr><td>${sc.label}</td><td>${formatPrice(sc.price, 2)}</td>${pnlCells(result)}</tr>`;
+  });
+
+  host.innerHTML = `
+    <dl class="calc-summary">
+      <dt>Position</dt><dd>${formatPrice(lots, 0)} lots · ${formatPrice(position.shares, 0)} shares @ ${formatPrice(entry, 2)}</dd>
+      <dt>Cost</dt><dd>${formatRupiah(position.cost)} <span class="muted">incl. fee ${formatRupiah(position.buyFee)}</span></dd>
+      ${cash === null ? "" : `<dt>Cash left</dt><dd>${formatRupiah(cash)}</dd>`}
+      <dt>Break-even</dt><dd>${formatPrice(roundUpToTick(breakEven), 0)} <span class="muted">(${formatPrice(breakEven, 2)} before tick rounding)</span></dd>
+    </dl>
+    <table class="calc-table">
+      <thead><tr><th>Step</th><th>Exit</th><th>Net P&amp;L</th><th>Return</th></tr></thead>
+      <tbody>${stepRows.join("")}</tbody>
+    </table>
+    <table class="calc-table">
+      <thead><tr><th>Step +${forecast.length}</th><th>Exit</th><th>Net P&amp;L</th><th>Return</th></tr></thead>
+      <tbody>${scenarioRows.join("")}</tbody>
+    </table>
+    ${bounds ? "" : `<p class="muted">This run has no uncertainty band, so only the forecast line is shown.</p>`}
+  `;
+}
+
+function initPositionCalculator() {
+  loadPositionSettings();
+  fillPositionControls();
+  readPositionControls(); // clamps anything out of range in the saved settings
+
+  document.getElementById("positionCalculator").addEventListener("change", () => {
+    readPositionControls();
+    savePositionSettings();
+    fillPositionControls();
+    renderPositionCalculator();
+  });
+  renderPositionCalculator();
+}
+
+// ------------------------
+// API helpers
+// ------------------------
+// `path` is an endpoint path ("/recent"); the base URL is resolved per call
+// so switching environments takes effect without a reload.
+// In mock mode (?mock=1, see mock-backend.js) requests never leave the browser.
+// Timeouts, retries and error types live in api-client.js; `options` passes
+// { signal, timeoutMs, retries } through to apiRequest(). Answers are cached
+// per response-cache.js unless `cache: false`; `force: true` skips cached ones.
+// Base URL requests actually go to (the mock's in mock mode).
+function effectiveApiBase() {
+  return isMockMode() ? MOCK_API_BASE : getApiBase();
+}
+
+async function postJSON(path, body, options) {
+  const opts = options || {};
+  const mock = isMockMode();
+  const base = effectiveApiBase();
+  if (!base) throw new Error("No API base URL configured. Open API Settings to set one.");
+
+  // answers are checked (api-schemas.js) before they are cached or drawn
+  const send = (signal) => apiRequest(base, path, body, {
+    ...opts,
+    signal,
+    headers: buildHeaders(),
+    transport: mock ? mockFetch : fetch,
+  }).then((payload) => validateResponse(path, payload));
+  if (opts.cache === false) return send(opts.signal);
+  return cachedResponse(base, path, body, send, opts);
+}
+
+const LOOKBACK_OPTIONS = [30, 60, 120, 250];
+const DEFAULT_LOOKBACK = 30;
+
+function getLookback() {
+  const el = document.getElementById("lookbackSelect");
+  const n = el ? Number(el.value) : DEFAULT_LOOKBACK;
+  return LOOKBACK_OPTIONS.includes(n) ? n : DEFAULT_LOOKBACK;
+}
+
+async function fetchRecent(ticker, scenario, nDays, options) {
+  return await postJSON("/recent", {
+    ticker,
+    scenario,
+    n_days: nDays || DEFAULT_LOOKBACK,
+    return_type: getReturnType(),
+  }, options);
+}
+
+async function fetchInfer(ticker, scenario, model_type, options) {
+  return await postJSON("/infer", {
+    ticker,
+    scenario,
+    model_type,
+  }, options);
+}
+
+async function fetchMetrics(ticker, scenario, model_type, options) {
+  const payload = { ticker };
+  if (scenario) payload.scenario = scenario;
+  if (model_type) payload.model_type = model_type;
+  return await postJSON("/metrics", payload, options);
+}
+
+function metricsRows(met) {
+  return met && Array.isArray(met.results) ? met.results : [];
+}
+
+async function getAllMetricsForTicker(ticker, options) {
+  return metricsRows(await fetchMetrics(ticker, null, null, options)); // ticker only (all rows)
+}
+
+async function fetchCatalog(options) {
+  return await postJSON("/catalog", {}, options);
+}
+
+// ------------------------
+// Ticker / method / model catalog (model-catalog.js)
+// ------------------------
+// /catalog first; a backend without it gets the catalog derived from every
+// known ticker's /metrics rows. When neither answers the current lists stay.
+async function loadModelCatalog() {
+  const apiBase = effectiveApiBase();
+  try {
+    const catalog = catalogFromResponse(await fetchCatalog());
+    setModelCatalog(catalog);
+    saveLastCatalog(apiBase, catalog);
+    return;
+  } catch (e) {
+    console.warn(`No usable /catalog (${e.message}), deriving it from /metrics.`);
+  }
+
+  const last = loadLastCatalog(apiBase);
+  const known = { ...modelCatalog, tickers: mergeCatalogTickers(modelCatalog.tickers, last ? last.tickers : []) };
+  const results = await Promise.allSettled(known.tickers.map((t) => getAllMetricsForTicker(t.ticker)));
+  const rowsByTicker = {};
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") rowsByTicker[known.tickers[i].ticker] = r.value;
+  });
+  if (Object.values(rowsByTicker).some((rows) => rows.length)) {
+    setModelCatalog(catalogFromMetrics(rowsByTicker, known));
+  } else {
+    console.warn("Model catalog: /metrics did not answer either, keeping the current lists.");
+  }
+}
+
+function tickerOptionLabel(t) {
+  return t.name ? `${t.ticker} — ${t.name}` : t.ticker;
+}
+
+// Rebuild a <select> from `values`, keeping its value when it still exists.
+// Returns true when the selection had to change.
+function fillCatalogSelect(id, values) {
+  const select = document.getElementById(id);
+  const previous = select.value;
+  select.innerHTML = values.map((v) => `<option value="${escapeHTML(v)}">${escapeHTML(v)}</option>`).join("");
+  if (values.includes(previous)) select.value = previous;
+  return select.value !== previous;
+}
+
+// Ticker, method and model pickers (plus everything listing them) from modelCatalog.
+function renderCatalogControls() {
+  const tickerChanged = fillCatalogSelect("stockSymbol", modelCatalog.tickers.map((t) => t.ticker));
+  fillCatalogSelect("scenarioSelect", modelCatalog.scenarios);
+  fillCatalogSelect("modelSelect", modelCatalog.models);
+  [...document.getElementById("stockSymbol").options].forEach((o, i) => {
+    o.title = modelCatalog.tickers[i].name;
+  });
+  document.getElementById("stockOptions").innerHTML = modelCatalog.tickers
+    .map((t) => `<option value="${escapeHTML(tickerOptionLabel(t))}"></option>`)
+    .join("");
+
+  enforceModelRules();
+  renderCompareGrid();
+  renderMetricsTickerChoices();
+  updateTopDAHighlight();
+  if (tickerChanged) document.getElementById("stockSymbol").dispatchEvent(new Event("change"));
+}
+
+// Search box over code and company name; picking a match selects the ticker.
+function initTickerSearch() {
+  const input = document.getElementById("stockSearch");
+  const select = document.getElementById("stockSymbol");
+
+  const pick = (force) => {
+    const ticker = resolveTicker(input.value);
+    if (!ticker) {
+      if (force && input.value.trim()) input.setCustomValidity("No ticker matches this search.");
+      return;
+    }
+    input.setCustomValidity("");
+    input.value = "";
+    if (select.value === ticker) return;
+    select.value = ticker;
+    select.dispatchEvent(new Event("change"));
+  };
+
+  // a datalist pick fills the whole "CODE — Name" label at once
+  input.addEventListener("input", () => {
+    input.setCustomValidity("");
+    if (modelCatalog.tickers.some((t) => tickerOptionLabel(t) === input.value)) pick(false);
+  });
+  input.addEventListener("change", () => pick(true));
+}
+
+function renderTopDATable(rows) {
+  const table = document.getElementById("daTopTable");
+  if (!table) return;
+  const tbody = table.querySelector("tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = "";
+
+  const clean = Array.isArray(rows) ? rows : [];
+  if (!clean.length) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td colspan="4" class="muted">No DA metrics found for this stock.</td>`;
+    tbody.appendChild(tr);
+    return;
+  }
+
+  const top10 = clean
+    .slice()
+    .sort((a, b) => Number(b.DA) - Number(a.DA))
+    .slice(0, 10);
+
+  top10.forEach((r, i) => {
+    const tr = document.createElement("tr");
+    tr.dataset.scenario = r.scenario;
+    tr.dataset.model = r.model_type;
+
+    const daVal = typeof r.DA === "number" ? r.DA : Number(r.DA);
+    const daText = Number.isFinite(daVal) ? daVal.toFixed(2) : "-";
+
+    tr.innerHTML = `
+      <td>${i + 1}</td>
+      <td>${escapeHTML(r.scenario)}</td>
+      <td>${escapeHTML(r.model_type)}</td>
+      <td>${daText}</td>
+    `;
+
+    // Click row to apply method + model
+    tr.addEventListener("click", () => applyConfiguration(r.scenario, r.model_type));
+
+    tbody.appendChild(tr);
+  });
+
+  updateTopDAHighlight();
+}
+
+// Select a method + model in the sidebar (runs nothing by itself).
+function applyConfiguration(scenario, model) {
+  const scenarioEl = document.getElementById("scenarioSelect");
+  const modelEl = document.getElementById("modelSelect");
+  if (!scenarioEl || !modelEl) return;
+
+  scenarioEl.value = scenario;
+  enforceModelRules();
+  modelEl.value = model;
+  updateTopDAHighlight();
+}
+
+function updateTopDAHighlight() {
+  const table = document.getElementById("daTopTable");
+  if (!table) return;
+  const scenario = document.getElementById("scenarioSelect")?.value;
+  const model = document.getElementById("modelSelect")?.value;
+
+  table.querySelectorAll("tbody tr").forEach((tr) => {
+    const s = tr.dataset.scenario;
+    const m = tr.dataset.model;
+    const active = s && m && s === scenario && m === model;
+    tr.classList.toggle("active", Boolean(active));
+  });
+}
+
+async function refreshTopDAForTicker(ticker) {
+  const table = document.getElementById("daTopTable");
+  if (!table) return;
+  const tbody = table.querySelector("tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = `<tr><td colspan="4" class="muted">Loading DA metrics…</td></tr>`;
+
+  try {
+    const rows = await getAllMetricsForTicker(ticker);
+    renderTopDATable(rows);
+  } catch (e) {
+    console.error("Failed to load DA table:", e);
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">Failed to load DA metrics.</td></tr>`;
+  }
+}
+
+// ------------------------
+// Prediction runs
+// ------------------------
+// Every run (single model, comparison, ensemble) is /recent, /metrics and
+// /infer, and each loading step follows its own call. Steps go out together
+// unless one `needs` another's result: the ensemble picks its members from
+// /metrics first. A non-critical step only feeds the DA figures: when it fails
+// the forecast is drawn without it. Failed steps keep the overlay open with a
+// Retry button that re-sends that call alone (plus the steps waiting on it).
+const PREDICTION_STEPS = [
+  { step: 1, key: "recent", critical: true },
+  { step: 2, key: "metrics", critical: false },
+  { step: 3, key: "infer", critical: true },
+];
+const ENSEMBLE_STEPS = [
+  { step: 1, key: "recent", critical: true, needs: "metrics" },
+  { step: 2, key: "metrics", critical: true },
+  { step: 3, key: "infer", critical: true, needs: "metrics" },
+];
+
+// Per kind of run: its steps, the request behind each step, what draws the
+// results and the button that shows progress (if any).
+const RUN_KINDS = {
+  single: { steps: PREDICTION_STEPS, request: predictionRequest, render: renderPrediction, button: "btnPredict" },
+  comparison: { steps: PREDICTION_STEPS, request: comparisonRequest, render: renderComparison },
+  ensemble: { steps: ENSEMBLE_STEPS, request: ensembleRequest, render: renderEnsemble },
+};
+
+// { kind, ticker, lookback, startTime, signal, results, errors } plus
+// scenario/model_type (single), combos (comparison) or settings (ensemble)
+let predictionRun = null;
+
+function startPredictionRun(kind, fields) {
+  clearRunError();
+  showLoadingScreen();
+  setLoadingStepText(1, `Fetching last ${getLookback()} days`);
+  predictionRun = {
+    kind,
+    ticker: document.getElementById("stockSymbol").value,
+    lookback: getLookback(),
+    startTime: Date.now(),
+    signal: supersedeRequests("chart"),
+    results: {},
+    errors: {},
+    ...fields,
+  };
+  return predictionRun;
+}
+
+function predictionRequest(run, key) {
+  const options = { signal: run.signal };
+  if (key === "recent") return fetchRecent(run.ticker, run.scenario, run.lookback, options);
+  if (key === "metrics") return fetchMetrics(run.ticker, run.scenario, run.model_type, options);
+  return fetchInfer(run.ticker, run.scenario, run.model_type, options);
+}
+
+async function runPredictionStep(run, { step, key }) {
+  updateLoadingStep(step, "active");
+  try {
+    const data = await RUN_KINDS[run.kind].request(run, key);
+    run.results[key] = data;
+    delete run.errors[key];
+    const meta = responseMeta(data);
+    updateLoadingStep(step, meta && meta.fromCache ? "cached" : "completed");
+  } catch (e) {
+    throwIfCancelled(run.signal);
+    run.errors[key] = e;
+    updateLoadingStep(step, "failed", e.message);
+  }
+}
+
+function predictionDA(run) {
+  const met = run.results.metrics;
+  // API returns DA already rounded to 2 decimals
+  return met && Array.isArray(met.results) && met.results.length ? Number(met.results[0].DA) : null;
+}
+
+function renderPrediction(chart, run) {
+  const { ticker, scenario, model_type, lookback } = run;
+  const { recent, infer } = run.results;
+  const da = predictionDA(run);
+
+  const closes = (recent && Array.isArray(recent.close)) ? recent.close.map(Number) : [];
+  const dates = (recent && Array.isArray(recent.dates)) ? recent.dates : [];
+
+  const predPrices = (infer && Array.isArray(infer.pred_prices)) ? infer.pred_prices.map(Number) : [];
+  const horizon = predPrices.length || 5;
+
+  const lastDate = dates.length ? dates[dates.length - 1] : null;
+  const forecastDates = lastDate ? nextTradingSessions(lastDate, horizon) : [];
+
+  // Header + model details
+  updateHeader(ticker, dates, forecastDates);
+  renderDataStatus(recent);
+  updateModelDetails(scenario, model_type, da);
+
+  const lastClose = closes.length ? closes[closes.length - 1] : (infer && typeof infer.last_close === "number" ? infer.last_close : null);
+  renderPredictionSummary(lastClose, predPrices, da, forecastDates);
+
+  clearForecastOverlays();
+  clearEnsemble();
+  fillChartBuffers(closes, dates, predPrices, forecastDates, recent);
+  setForecastBand(closes, predPrices, infer);
+  updateBandLabel();
+  currentRun = {
+    mode: "single",
+    ticker,
+    scenario,
+    model: model_type,
+    da,
+    lookback,
+    requestedAt: new Date(run.startTime).toISOString(),
+    dataAsOf: lastDate,
+  };
+
+  // Update X-axis labels based on actual data
+  setXAxisData(closes.length, predPrices.length, dates.concat(forecastDates));
+
+  chart.setMode(document.getElementById("chartTypeSelect").value);
+  chart.resetView();
+
+  // Table: last 20 + forecast 5
+  renderSeriesTable(dates, closes, forecastDates, predPrices);
+  updateExportButtons();
+
+  journalAfterRun(ticker, dates, closes, {
+    ticker,
+    scenario,
+    model: model_type,
+    dataScenario: scenario,
+    predPrices,
+    forecastDates,
+    lastClose,
+    lastDate,
+    backtestDA: da,
+  });
+}
+
+// Send the steps named in `keys`, then draw whatever the results allow.
+async function settlePrediction(chart, run, keys) {
+  const kind = RUN_KINDS[run.kind];
+  const button = kind.button ? document.getElementById(kind.button) : null;
+  const minDisplayTime = 600;
+  if (button) button.textContent = "Predicting...";
+  setLoadingFailures(null);
+
+  try {
+    const steps = kind.steps.filter((s) => keys.includes(s.key));
+    const waiting = (s) => s.needs && keys.includes(s.needs);
+    steps.filter(waiting).forEach((s) => updateLoadingStep(s.step, null));
+    await Promise.all(steps.filter((s) => !waiting(s)).map((s) => runPredictionStep(run, s)));
+    throwIfCancelled(run.signal);
+    await Promise.all(steps.filter((s) => waiting(s) && run.results[s.needs]).map((s) => runPredictionStep(run, s)));
+
+    // ensure minimum display time (smooth loading)
+    const elapsed = Date.now() - run.startTime;
+    if (elapsed < minDisplayTime) {
+      await new Promise((r) => setTimeout(r, minDisplayTime - elapsed));
+    }
+    throwIfCancelled(run.signal);
+
+    if (kind.steps.every((s) => !s.critical || run.results[s.key])) kind.render(chart, run);
+  } catch (error) {
+    if (isCancellation(error)) return;
+    console.error("Prediction error:", error);
+    showRunError(error);
+  } finally {
+    if (finishRequests("chart", run.signal)) {
+      const failed = kind.steps.filter((s) => run.errors[s.key]);
+      if (!failed.length) hideLoadingScreen();
+      else setLoadingFailures(failed.some((s) => s.critical) ? "Close" : "Continue without DA");
+      if (button) button.textContent = button.dataset.idleText;
+    }
+  }
+}
+
+async function runPrediction(chart) {
+  const run = startPredictionRun("single", {
+    scenario: document.getElementById("scenarioSelect").value,
+    model_type: document.getElementById("modelSelect").value,
+  });
+  setLoadingStepText(3, "Running inference (5-step)");
+  // "Show Prediction" picks scenario/model without change events; a run
+  // restoring a history entry rewrites that entry rather than pushing one
+  syncURLState(urlRestoreRun);
+  urlRestoreRun = false;
+  await settlePrediction(chart, run, PREDICTION_STEPS.map((s) => s.key));
+}
+
+async function retryPredictionStep(chart, stepNumber) {
+  const run = predictionRun;
+  const steps = run ? RUN_KINDS[run.kind].steps : [];
+  const step = steps.find((s) => s.step === stepNumber);
+  if (!step) return;
+  run.signal = supersedeRequests("chart");
+  const keys = [step.key, ...steps.filter((s) => s.needs === step.key).map((s) => s.key)];
+  await settlePrediction(chart, run, keys);
+}
+
+// Closing with a forecast still missing leaves the reason above the chart.
+function closePredictionOverlay() {
+  cancelRequests("chart");
+  hideLoadingScreen();
+  const run = predictionRun;
+  const critical = run && RUN_KINDS[run.kind].steps.find((s) => s.critical && run.errors[s.key]);
+  if (critical) showRunError(run.errors[critical.key]);
+}
+
+// ------------------------
+// Multi-model comparison
+// ------------------------
+const OVERLAY_COLORS = [
+  "#3498db", "#e67e22", "#9b59b6", "#16a085", "#e74c3c", "#f1c40f",
+  "#34495e", "#1abc9c", "#d35400", "#8e44ad", "#2ecc71",
+];
+const DEFAULT_COMPARE = ["weighted/TCN", "majority/SGA_LSTM", "baseline/LSTM"];
+
+function selectValues(id) {
+  return [...document.getElementById(id).options].map((o) => o.value);
+}
+
+// Checkbox grid: one row per scenario, one column per model.
+function renderCompareGrid() {
+  const host = document.getElementById("compareGrid");
+  if (!host) return;
+  const scenarios = selectValues("scenarioSelect");
+  const models = selectValues("modelSelect");
+
+  // keep the user's picks when the grid is rebuilt (new catalog)
+  const previous = host.querySelector("input") ? new Set(getSelectedCombinations().map((c) => `${c.scenario}/${c.model}`)) : null;
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  head.innerHTML = `<th></th>${models.map((m) => `<th>${escapeHTML(m)}</th>`).join("")}`;
+  table.appendChild(head);
+
+  scenarios.forEach((scenario) => {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = scenario;
+    tr.appendChild(th);
+
+    models.forEach((model) => {
+      const td = document.createElement("td");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = `${scenario}/${model}`;
+      box.disabled = !isCombinationAllowed(scenario, model);
+      box.title = box.disabled ? combinationReason(scenario, model) : `${scenario} / ${model}`;
+      box.checked = !box.disabled && (previous || new Set(DEFAULT_COMPARE)).has(box.value);
+      td.appendChild(box);
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+
+  host.innerHTML = "";
+  host.appendChild(table);
+}
+
+function getSelectedCombinations() {
+  return [...document.querySelectorAll("#compareGrid input:checked")].map((box) => {
+    const [scenario, model] = box.value.split("/");
+    return { scenario, model };
+  });
+}
+
+function clearForecastOverlays() {
+  forecastOverlays.length = 0;
+  renderForecastLegend();
+}
+
+function renderForecastLegend(chart) {
+  const host = document.getElementById("forecastLegend");
+  if (!host) return;
+  host.innerHTML = "";
+  host.style.display = forecastOverlays.length ? "flex" : "none";
+
+  forecastOverlays.forEach((o) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = `legend-item${o.visible ? "" : " off"}${o.error ? " failed" : ""}`;
+    item.disabled = Boolean(o.error);
+    item.title = o.error ? `Failed: ${o.error}` : "Click to show/hide";
+
+    const da = typeof o.da === "number" && !Number.isNaN(o.da) ? `DA ${o.da.toFixed(2)}%` : "DA -";
+    item.innerHTML = `<i class="swatch" style="background:${o.color}"></i>${escapeHTML(o.label)} <span class="muted">${o.error ? "failed" : da}</span>`;
+
+    item.addEventListener("click", () => {
+      o.visible = !o.visible;
+      renderForecastLegend(chart);
+      if (chart) chart.render();
+    });
+    host.appendChild(item);
+  });
+}
+
+// Forecasts for several configurations, settled one by one. The step only
+// fails when every one of them does.
+async function inferEach(ticker, combos, options) {
+  const results = await Promise.allSettled(combos.map((c) => fetchInfer(ticker, c.scenario, c.model, options)));
+  if (results.every((r) => r.status === "rejected")) throw results[0].reason;
+  return results;
+}
+
+// The window once (with the first configuration's scenario), every
+// configuration's DA in one /metrics call and all forecasts in parallel.
+function comparisonRequest(run, key) {
+  const options = { signal: run.signal };
+  if (key === "recent") return fetchRecent(run.ticker, run.combos[0].scenario, run.lookback, options);
+  if (key === "metrics") return fetchMetrics(run.ticker, null, null, options);
+  return inferEach(run.ticker, run.combos, options);
+}
+
+async function runComparison(chart, combos) {
+  const run = startPredictionRun("comparison", { combos });
+  setLoadingStepText(3, `Running inference (${combos.length} models)`);
+  await settlePrediction(chart, run, PREDICTION_STEPS.map((s) => s.key));
+}
+
+function renderComparison(chart, run) {
+  const { ticker, lookback, combos } = run;
+  const { recent, infer: results } = run.results;
+  const rows = metricsRows(run.results.metrics);
+
+  const closes = (recent && Array.isArray(recent.close)) ? recent.close.map(Number) : [];
+  const dates = (recent && Array.isArray(recent.dates)) ? recent.dates : [];
+  const lastDate = dates.length ? dates[dates.length - 1] : null;
+  const baseT = Math.max(0, closes.length - 1);
+
+  clearEnsemble();
+  fillChartBuffers(closes, dates, [], [], recent);
+  updateBandLabel();
+
+  forecastOverlays.length = 0;
+  let horizon = 0;
+  combos.forEach((c, i) => {
+    const res = results[i];
+    const row = rows.find((r) => r.scenario === c.scenario && r.model_type === c.model);
+    const preds = res.status === "fulfilled" && Array.isArray(res.value.pred_prices)
+      ? res.value.pred_prices.map(Number)
+      : [];
+    const fDates = lastDate ? nextTradingSessions(lastDate, preds.length) : [];
+    horizon = Math.max(horizon, preds.length);
+
+    forecastOverlays.push({
+      id: `${c.scenario}/${c.model}`,
+      scenario: c.scenario,
+      model: c.model,
+      label: `${c.scenario} / ${c.model}`,
+      color: OVERLAY_COLORS[i % OVERLAY_COLORS.length],
+      da: row ? Number(row.DA) : null,
+      visible: res.status === "fulfilled",
+      error: res.status === "rejected" ? res.reason.message : null,
+      points: preds.map((price, k) => ({ time: baseT + k + 1, price, date: fDates[k] })),
+    });
+  });
+
+  const forecastDates = lastDate ? nextTradingSessions(lastDate, horizon) : [];
+  updateHeader(ticker, dates, forecastDates);
+  renderDataStatus(recent);
+  updateModelDetails("comparison", `${forecastOverlays.filter((o) => !o.error).length} of ${combos.length} models`, null);
+  document.querySelector(".price-value").textContent = "-";
+  document.getElementById("predictionDetails").style.display = "none";
+  currentRun = {
+    mode: "comparison",
+    ticker,
+    scenario: null,
+    model: null,
+    da: null,
+    lookback,
+    requestedAt: new Date(run.startTime).toISOString(),
+    dataAsOf: lastDate,
+  };
+
+  setXAxisData(closes.length, horizon, dates.concat(forecastDates));
+  renderForecastLegend(chart);
+  chart.resetView();
+  renderSeriesTable(dates, closes, [], []);
+  // several paths at once: the single-path breakdown doesn't apply
+  renderForecastBreakdown([], []);
+  updateExportButtons();
+
+  // comparisons are exploratory: they score the journal but are not recorded
+  journalAfterRun(ticker, dates, closes, null);
+}
+
+// ------------------------
+// Ensemble forecast
+// ------------------------
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Combine member forecasts step by step.
+// members: [{ preds: number[], da: number }]
+// method:  "equal" | "da" | "median"
+// DA weights use each member's edge over a coin flip (DA - 50), so a 60% model
+// counts twice as much as a 55% one; if no member beats 50% they fall back to equal.
+// Returns { prices, weights (null for median), spread: [{ min, max }] }.
+function combineForecasts(members, method) {
+  const horizon = Math.min(...members.map((m) => m.preds.length));
+  const equal = members.map(() => 1 / members.length);
+
+  let weights = equal;
+  if (method === "median") {
+    weights = null;
+  } else if (method === "da") {
+    const edge = members.map((m) => Math.max(0, (Number(m.da) || 0) - 50));
+    const total = edge.reduce((a, b) => a + b, 0);
+    if (total > 0) weights = edge.map((e) => e / total);
+  }
+
+  const prices = [];
+  const spread = [];
+  for (let h = 0; h < horizon; h++) {
+    const column = members.map((m) => m.preds[h]);
+    prices.push(weights ? column.reduce((acc, v, i) => acc + v * weights[i], 0) : median(column));
+    spread.push({ min: Math.min(...column), max: Math.max(...column) });
+  }
+  return { prices, weights, spread };
+}
+
+const ENSEMBLE_WEIGHTING_LABELS = { equal: "equal", da: "DA-weighted", median: "median" };
+
+function clearEnsemble() {
+  ensembleSpread.length = 0;
+  const panel = document.getElementById("ensembleMembers");
+  if (panel) panel.style.display = "none";
+}
+
+function renderEnsembleMembers(members, weights) {
+  const panel = document.getElementById("ensembleMembers");
+  if (!panel) return;
+  const tbody = panel.querySelector("tbody");
+  tbody.innerHTML = "";
+
+  let used = 0;
+  members.forEach((m) => {
+    const tr = document.createElement("tr");
+    const daText = Number.isFinite(Number(m.da)) ? `${Number(m.da).toFixed(2)}%` : "-";
+    let weightText = "failed";
+    let lastText = "-";
+    if (!m.error) {
+      weightText = weights ? `${(weights[used] * 100).toFixed(1)}%` : "median";
+      lastText = formatPrice(m.preds[m.preds.length - 1], 2);
+      used++;
+    } else {
+      tr.className = "failed";
+      tr.title = m.error;
+    }
+    tr.innerHTML = `
+      <td>${escapeHTML(m.scenario)} / ${escapeHTML(m.model)}</td>
+      <td>${daText}</td>
+      <td>${weightText}</td>
+      <td>${lastText}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  panel.style.display = "block";
+}
+
+function getEnsembleSettings() {
+  const size = document.getElementById("ensembleSizeSelect").value;
+  return {
+    size: size === "all" ? Infinity : Number(size),
+    weighting: document.getElementById("ensembleWeightingSelect").value,
+  };
+}
+
+// The top-N configurations by backtest DA, best first.
+function ensembleTop(run) {
+  return metricsRows(run.results.metrics)
+    .slice()
+    .sort((a, b) => Number(b.DA) - Number(a.DA))
+    .slice(0, run.settings.size);
+}
+
+// /metrics picks the members; then the window (with the best member's
+// scenario) and every member's forecast.
+async function ensembleRequest(run, key) {
+  const options = { signal: run.signal };
+  if (key === "metrics") {
+    const met = await fetchMetrics(run.ticker, null, null, options);
+    if (!metricsRows(met).length) throw new Error("No DA metrics found for this stock.");
+    return met;
+  }
+  const top = ensembleTop(run);
+  if (key === "recent") return fetchRecent(run.ticker, top[0].scenario, run.lookback, options);
+  setLoadingStepText(3, `Running inference (${top.length} models)`);
+  return inferEach(run.ticker, top.map((r) => ({ scenario: r.scenario, model: r.model_type })), options);
+}
+
+// Top-N configurations by backtest DA, each inferred in parallel and combined.
+async function runEnsemble(chart, settings) {
+  urlRestoreRun = false;
+  const run = startPredictionRun("ensemble", { settings });
+  setLoadingStepText(3, "Running inference (ensemble)");
+  await settlePrediction(chart, run, ENSEMBLE_STEPS.map((s) => s.key));
+}
+
+function renderEnsemble(chart, run) {
+  const { ticker, lookback, settings } = run;
+  const { recent, infer: results } = run.results;
+  const top = ensembleTop(run);
+
+  const members = top.map((r, i) => {
+    const res = results[i];
+    const preds = res.status === "fulfilled" && Array.isArray(res.value.pred_prices)
+      ? res.value.pred_prices.map(Number)
+      : [];
+    return {
+      scenario: r.scenario,
+      model: r.model_type,
+      da: Number(r.DA),
+      preds,
+      error: res.status === "rejected" ? res.reason.message : (preds.length ? null : "No pred_prices returned"),
+    };
+  });
+  const ok = members.filter((m) => !m.error);
+  if (!ok.length) throw new Error("Inference failed for every ensemble member.");
+
+  const { prices, weights, spread } = combineForecasts(ok, settings.weighting);
+  const memberDA = weights
+    ? ok.reduce((acc, m, i) => acc + m.da * weights[i], 0)
+    : ok.reduce((acc, m) => acc + m.da, 0) / ok.length;
+
+  const closes = (recent && Array.isArray(recent.close)) ? recent.close.map(Number) : [];
+  const dates = (recent && Array.isArray(recent.dates)) ? recent.dates : [];
+  const lastDate = dates.length ? dates[dates.length - 1] : null;
+  const forecastDates = lastDate ? nextTradingSessions(lastDate, prices.length) : [];
+
+  updateHeader(ticker, dates, forecastDates);
+  renderDataStatus(recent);
+  updateModelDetails(
+    "ensemble",
+    `${ok.length} models, ${ENSEMBLE_WEIGHTING_LABELS[settings.weighting]}`,
+    memberDA
+  );
+  renderPredictionSummary(closes.length ? closes[closes.length - 1] : null, prices, memberDA, forecastDates);
+
+  clearForecastOverlays();
+  fillChartBuffers(closes, dates, prices, forecastDates, recent);
+  setForecastBand(closes, prices, null);
+  updateBandLabel();
+
+  // spread band starts at the bridge point so it fans out from the last close
+  ensembleSpread.length = 0;
+  const baseT = Math.max(0, closes.length - 1);
+  if (closes.length) ensembleSpread.push({ time: baseT, min: closes[baseT], max: closes[baseT] });
+  spread.forEach((b, i) => ensembleSpread.push({ time: baseT + i + 1, ...b }));
+  renderEnsembleMembers(members, weights);
+  currentRun = {
+    mode: "ensemble",
+    ticker,
+    scenario: "ensemble",
+    model: `${ENSEMBLE_WEIGHTING_LABELS[settings.weighting]} × ${ok.length}`,
+    da: memberDA,
+    lookback,
+    requestedAt: new Date(run.startTime).toISOString(),
+    dataAsOf: lastDate,
+    settings,
+    members: ok.map((m, i) => ({ scenario: m.scenario, model: m.model, da: m.da, weight: weights ? weights[i] : null })),
+  };
+
+  setXAxisData(closes.length, prices.length, dates.concat(forecastDates));
+  chart.resetView();
+  renderSeriesTable(dates, closes, forecastDates, prices);
+  updateExportButtons();
+
+  journalAfterRun(ticker, dates, closes, {
+    ticker,
+    scenario: "ensemble",
+    model: `${ENSEMBLE_WEIGHTING_LABELS[settings.weighting]} × ${ok.length}`,
+    dataScenario: top[0].scenario,
+    predPrices: prices,
+    forecastDates,
+    lastClose: closes.length ? closes[closes.length - 1] : null,
+    lastDate,
+    backtestDA: memberDA,
+  });
+}
+
+// ------------------------
+// Prediction journal + History view
+// ------------------------
+// Score open journal entries with the window just fetched, then store the new
+// run (if any). Both belong to the backend that answered. Journal problems are
+// logged, never shown as prediction errors.
+async function journalAfterRun(ticker, dates, closes, run) {
+  if (!journalAvailable()) return;
+  const apiBase = effectiveApiBase();
+  try {
+    await journalScoreWithRecent(ticker, dates, closes, apiBase);
+    if (run && run.predPrices.length && run.lastDate) await journalSaveRun({ ...run, apiBase });
+  } catch (e) {
+    console.warn("Prediction journal unavailable:", e);
+  }
+}
+
+// Fetch enough history to cover every open run's forecast dates, per ticker.
+async function refreshPendingJournalRuns(runs) {
+  const today = todayIDX();
+  const pending = runs.filter((r) => !journalIsComplete(r) && r.forecastDates[0] <= today);
+  const tickers = [...new Set(pending.map((r) => r.ticker))];
+
+  await Promise.all(tickers.map(async (ticker) => {
+    const own = pending.filter((r) => r.ticker === ticker);
+    const oldest = own.reduce((min, r) => (r.lastDate < min ? r.lastDate : min), today);
+    const nDays = Math.min(Math.max(...LOOKBACK_OPTIONS), tradingDaysBetween(oldest, today).length + 2);
+    try {
+      const recent = await fetchRecent(ticker, own[0].dataScenario || own[0].scenario, nDays);
+      await journalScoreWithRecent(ticker, recent.dates || [], recent.close || [], effectiveApiBase());
+    } catch (e) {
+      console.warn(`Could not refresh closes for ${ticker}:`, e);
+    }
+  }));
+}
+
+function fmtPct(v) {
+  return typeof v === "number" && Number.isFinite(v) ? `${v.toFixed(2)}%` : "-";
+}
+
+function renderHistory(runs) {
+  const configs = summarizeByConfig(runs);
+  document.getElementById("historyConfigs").innerHTML = configs.length
+    ? `<table>
+        <thead><tr><th>Ticker</th><th>Method / Model</th><th>Runs</th><th>Scored steps</th><th>Live DA</th><th>Backtest DA</th><th>MAE</th><th>MAPE</th></tr></thead>
+        <tbody>
+          ${configs.map((c) => {
+            const diff = c.da !== null && c.backtestDA !== null ? c.da - c.backtestDA : null;
+            const cls = diff === null ? "" : diff >= 0 ? "up" : "down";
+            return `<tr>
+              <td>${escapeHTML(c.ticker)}</td>
+              <td>${escapeHTML(c.scenario)} / ${escapeHTML(c.model)}</td>
+              <td>${c.runs}</td>
+              <td>${c.n}</td>
+              <td class="${cls}">${fmtPct(c.da)}</td>
+              <td>${fmtPct(c.backtestDA)}</td>
+              <td>${c.mae === null ? "-" : formatPrice(c.mae, 2)}</td>
+              <td>${fmtPct(c.mape)}</td>
+            </tr>`;
+          }).join("")}
+        </tbody>
+      </table>`
+    : `<p class="muted">No predictions recorded yet.</p>`;
+
+  const steps = summarizeBySteps(runs);
+  document.getElementById("historySteps").innerHTML = steps.length
+    ? `<table>
+        <thead><tr><th>Step</th><th>Scored</th><th>DA</th><th>MAE</th><th>MAPE</th></tr></thead>
+        <tbody>
+          ${steps.map((st) => `<tr>
+            <td>+${st.step}</td>
+            <td>${st.n}</td>
+            <td>${fmtPct(st.da)}</td>
+            <td>${formatPrice(st.mae, 2)}</td>
+            <td>${fmtPct(st.mape)}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>`
+    : `<p class="muted">No forecast step has been realized yet.</p>`;
+
+  document.getElementById("historyRuns").innerHTML = runs.length
+    ? `<table>
+        <thead><tr><th>Made</th><th>Ticker</th><th>Method / Model</th><th>Last close</th><th>Last step</th><th>Realized</th></tr></thead>
+        <tbody>
+          ${runs.map((r) => {
+            const marks = r.forecastDates.map((d, i) => {
+              const sc = r.scores.find((x) => x.step === i + 1);
+              if (!sc) return `<span class="mark pending" title="+${i + 1} ${escapeHTML(d)}: not yet realized">·</span>`;
+              const title = `+${sc.step} ${escapeHTML(sc.date)}: predicted ${formatPrice(sc.predicted, 2)}, actual ${formatPrice(sc.actual, 2)}`;
+              return `<span class="mark ${sc.hit ? "hit" : "miss"}" title="${title}">${sc.hit ? "✓" : "✗"}</span>`;
+            }).join("");
+            return `<tr>
+              <td>${escapeHTML(r.createdAt.slice(0, 10))}</td>
+              <td>${escapeHTML(r.ticker)}</td>
+              <td>${escapeHTML(r.scenario)} / ${escapeHTML(r.model)}</td>
+              <td>${formatPrice(r.lastClose, 2)} <span class="muted">(${escapeHTML(r.lastDate)})</span></td>
+              <td>${formatPrice(r.predPrices[r.predPrices.length - 1], 2)}</td>
+              <td>${marks}</td>
+            </tr>`;
+          }).join("")}
+        </tbody>
+      </table>`
+    : "";
+}
+
+async function openHistory() {
+  const overlay = document.getElementById("historyOverlay");
+  const status = document.getElementById("historyStatus");
+  overlay.classList.add("show");
+
+  if (!journalAvailable()) {
+    status.textContent = "History needs IndexedDB, which this browser does not provide.";
+    return;
+  }
+
+  try {
+    status.textContent = "Checking for newly realized closes…";
+    // only this backend's runs: the refresh below fetches closes from it
+    const apiBase = effectiveApiBase();
+    renderHistory(await journalAllRuns(apiBase));
+    await refreshPendingJournalRuns(await journalAllRuns(apiBase));
+    const runs = await journalAllRuns(apiBase);
+    renderHistory(runs);
+    const open = runs.filter((r) => !journalIsComplete(r)).length;
+    status.textContent = `${runs.length} run${runs.length === 1 ? "" : "s"} recorded against ${apiBase} · ${open} still waiting for closes. ` +
+      "Live DA compares each step's direction with the last close at prediction time.";
+  } catch (e) {
+    console.error("Failed to load history:", e);
+    status.textContent = `Failed to load history: ${e.message}`;
+  }
+}
+
+function initHistoryPanel() {
+  document.getElementById("btnHistory").addEventListener("click", openHistory);
+  document.getElementById("btnHistoryClose").addEventListener("click", () => {
+    document.getElementById("historyOverlay").classList.remove("show");
+  });
+  document.getElementById("btnHistoryClear").addEventListener("click", async () => {
+    if (!confirm(`Delete every prediction recorded against ${effectiveApiBase()}?`)) return;
+    await journalClear(effectiveApiBase());
+    renderHistory([]);
+    document.getElementById("historyStatus").textContent = "History cleared.";
+  });
+}
+
+// ------------------------
+// Watchlist dashboard
+// ------------------------
+// One card per ticker in the stock dropdown: recent closes, and the forecast
+// of that ticker's best-DA configuration. Tickers load concurrently; a failing
+// ticker only breaks its own card.
+const WATCHLIST_LOOKBACK = 30;
+const watchlistResults = new Map(); // ticker -> { status, ... }
+
+function watchlistTickers() {
+  return [...document.getElementById("stockSymbol").options].map((o) => o.value);
+}
+
+async function loadWatchlistEntry(ticker, signal) {
+  const rows = await getAllMetricsForTicker(ticker, { signal });
+  if (!rows.length) throw new Error("No DA metrics for this stock.");
+  const best = rows.slice().sort((a, b) => Number(b.DA) - Number(a.DA))[0];
+
+  const [recent, infer] = await Promise.all([
+    fetchRecent(ticker, best.scenario, WATCHLIST_LOOKBACK, { signal }),
+    fetchInfer(ticker, best.scenario, best.model_type, { signal }),
+  ]);
+  const closes = Array.isArray(recent.close) ? recent.close.map(Number) : [];
+  const dates = Array.isArray(recent.dates) ? recent.dates : [];
+  const predPrices = Array.isArray(infer.pred_prices) ? infer.pred_prices.map(Number) : [];
+
+  journalAfterRun(ticker, dates, closes, null);
+
+  return {
+    status: "ok",
+    scenario: best.scenario,
+    model: best.model_type,
+    da: Number(best.DA),
+    closes,
+    dates,
+    predPrices,
+    lastClose: closes.length ? closes[closes.length - 1] : Number(infer.last_close),
+  };
+}
+
+// Closes in dark grey, forecast continued in blue from the last close.
+function drawSparkline(canvas, closes, predPrices) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 220;
+  const height = canvas.clientHeight || 56;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const values = closes.concat(predPrices);
+  if (values.length < 2) return;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const pad = 3;
+  const x = (i) => pad + (i / (values.length - 1)) * (width - pad * 2);
+  const y = (v) => height - pad - ((v - min) / span) * (height - pad * 2);
+
+  const stroke = (from, to, color, dashed) => {
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(dashed ? [3, 3] : []);
+    for (let i = from; i <= to; i++) {
+      if (i === from) ctx.moveTo(x(i), y(values[i]));
+      else ctx.lineTo(x(i), y(values[i]));
+    }
+    ctx.stroke();
+  };
+  stroke(0, closes.length - 1, "#374151", false);
+  if (predPrices.length && closes.length) stroke(closes.length - 1, values.length - 1, "#3498db", true);
+  ctx.setLineDash([]);
+}
+
+function renderWatchlistCard(card, ticker, entry) {
+  if (!entry || entry.status === "loading") {
+    card.innerHTML = `<div class="watch-card-head"><span class="watch-ticker">${escapeHTML(ticker)}</span></div>
+      <p class="muted watch-status">Loading...</p>`;
+    return;
+  }
+  if (entry.status === "error") {
+    card.innerHTML = `<div class="watch-card-head"><span class="watch-ticker">${escapeHTML(ticker)}</span></div>
+      <p class="watch-status watch-error">Could not load: ${escapeHTML(entry.message)}</p>`;
+    return;
+  }
+
+  const lastDate = entry.dates[entry.dates.length - 1];
+  const target = entry.predPrices[entry.predPrices.length - 1];
+  const hasForecast = typeof target === "number" && Number.isFinite(target) && Number.isFinite(entry.lastClose);
+  const change = hasForecast ? ((target - entry.lastClose) / entry.lastClose) * 100 : null;
+  const dir = !hasForecast ? "" : target >= entry.lastClose ? "up" : "down";
+
+  card.innerHTML = `
+    <div class="watch-card-head">
+      <span class="watch-ticker">${escapeHTML(ticker)}</span>
+      <span class="watch-last">${formatPrice(entry.lastClose, 0)}
+        <small class="muted">${lastDate ? formatShortDate(lastDate) : ""}</small></span>
+    </div>
+    <canvas class="watch-spark"></canvas>
+    <div class="watch-forecast ${dir}">
+      ${hasForecast
+        ? `${dir === "up" ? "▲ UP" : "▼ DOWN"} ${formatPrice(target, 2)} (${change >= 0 ? "+" : ""}${change.toFixed(2)}%)`
+        : "No forecast"}
+      <span class="muted">step +${entry.predPrices.length}</span>
+    </div>
+    <div class="watch-meta muted">DA ${fmtPct(entry.da)} · ${escapeHTML(entry.scenario)} / ${escapeHTML(entry.model)}</div>`;
+  drawSparkline(card.querySelector(".watch-spark"), entry.closes, entry.predPrices);
+}
+
+function renderWatchlist() {
+  const grid = document.getElementById("watchlistGrid");
+  const tickers = watchlistTickers();
+  grid.innerHTML = "";
+  tickers.forEach((ticker) => {
+    const card = document.createElement("button");
+    card.type = "button";
+    card.className = "watch-card";
+    card.dataset.ticker = ticker;
+    card.title = `Open the ${ticker} chart`;
+    grid.appendChild(card);
+    renderWatchlistCard(card, ticker, watchlistResults.get(ticker));
+  });
+}
+
+async function refreshWatchlist() {
+  const tickers = watchlistTickers();
+  const status = document.getElementById("watchlistStatus");
+  const button = document.getElementById("btnWatchlistRefresh");
+  const signal = supersedeRequests("watchlist");
+  button.disabled = true;
+  status.textContent = `Loading ${tickers.length} stocks...`;
+
+  tickers.forEach((t) => watchlistResults.set(t, { status: "loading" }));
+  renderWatchlist();
+
+  await Promise.all(tickers.map(async (ticker) => {
+    try {
+      watchlistResults.set(ticker, await loadWatchlistEntry(ticker, signal));
+    } catch (e) {
+      if (isCancellation(e)) return;
+      console.warn(`Watchlist: ${ticker} failed:`, e);
+      watchlistResults.set(ticker, { status: "error", message: e.message });
+    }
+    // matched on the dataset, not a selector: tickers may hold quotes or brackets
+    const card = [...document.querySelectorAll(".watch-card")].find((c) => c.dataset.ticker === ticker);
+    if (card) renderWatchlistCard(card, ticker, watchlistResults.get(ticker));
+  }));
+  if (!finishRequests("watchlist", signal)) return;
+
+  const failed = tickers.filter((t) => watchlistResults.get(t).status === "error").length;
+  status.textContent = failed
+    ? `${tickers.length - failed} of ${tickers.length} stocks loaded.`
+    : `Best-DA forecast per stock, last ${WATCHLIST_LOOKBACK} sessions.`;
+  button.disabled = false;
+}
+
+// ------------------------
+// Metrics explorer
+// ------------------------
+// Every /metrics row for the chosen tickers: a scenario × model heatmap per
+// ticker and a sortable, filterable table. Numeric fields other than DA (RMSE,
+// MAE, ...) become extra metrics automatically.
+const METRICS_KEY_FIELDS = ["ticker", "scenario", "model_type"];
+const LOWER_IS_BETTER_RE = /rmse|mae|mape|mse|loss|error/i;
+const metricsExplorer = {
+  tickers: [],
+  rows: new Map(), // ticker -> rows[] | { error }
+  metric: "DA",
+  sort: { key: "DA", dir: -1 },
+  filter: "",
+};
+
+function metricNames() {
+  const names = new Set(["DA"]);
+  metricsExplorer.rows.forEach((rows) => {
+    if (!Array.isArray(rows)) return;
+    rows.forEach((r) => Object.keys(r).forEach((k) => {
+      if (!METRICS_KEY_FIELDS.includes(k) && Number.isFinite(Number(r[k])) && r[k] !== null && r[k] !== "") names.add(k);
+    }));
+  });
+  return [...names];
+}
+
+function metricValue(row, metric) {
+  const v = row ? Number(row[metric]) : NaN;
+  return row && row[metric] !== null && row[metric] !== "" && Number.isFinite(v) ? v : null;
+}
+
+function formatMetric(v) {
+  if (v === null) return "–";
+  return Math.abs(v) >= 100 ? v.toFixed(1) : v.toFixed(2);
+}
+
+// Green for good, red for bad, on the range of the values shown.
+function heatColor(value, min, max, metric) {
+  if (value === null) return "#f3f4f6";
+  let t = max > min ? (value - min) / (max - min) : 0.5;
+  if (LOWER_IS_BETTER_RE.test(metric)) t = 1 - t;
+  return `hsl(${Math.round(t * 120)}, 65%, ${88 - Math.round(Math.abs(t - 0.5) * 20)}%)`;
+}
+
+function explorerRows() {
+  const rows = [];
+  metricsExplorer.tickers.forEach((ticker) => {
+    const list = metricsExplorer.rows.get(ticker);
+    if (Array.isArray(list)) list.forEach((r) => rows.push({ ...r, ticker }));
+  });
+  // every word of the filter has to match somewhere ("bbri tcn")
+  const words = metricsExplorer.filter.toLowerCase().split(/\s+/).filter(Boolean);
+  const filtered = rows.filter((r) => {
+    const text = `${r.ticker} ${r.scenario} ${r.model_type}`.toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+
+  const { key, dir } = metricsExplorer.sort;
+  return filtered.sort((a, b) => {
+    const va = METRICS_KEY_FIELDS.includes(key) ? a[key] : metricValue(a, key);
+    const vb = METRICS_KEY_FIELDS.includes(key) ? b[key] : metricValue(b, key);
+    if (va === vb) return 0;
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    return (va < vb ? -1 : 1) * dir;
+  });
+}
+
+function renderMetricsHeatmaps() {
+  const host = document.getElementById("metricsHeatmaps");
+  const metric = metricsExplorer.metric;
+  const scenarios = [...document.getElementById("scenarioSelect").options].map((o) => o.value);
+  const models = [...document.getElementById("modelSelect").options].map((o) => o.value);
+
+  const values = [];
+  metricsExplorer.tickers.forEach((t) => {
+    const rows = metricsExplorer.rows.get(t);
+    if (Array.isArray(rows)) rows.forEach((r) => values.push(metricValue(r, metric)));
+  });
+  const shown = values.filter((v) => v !== null);
+  const min = Math.min(...shown);
+  const max = Math.max(...shown);
+
+  host.innerHTML = metricsExplorer.tickers.map((ticker) => {
+    const rows = metricsExplorer.rows.get(ticker);
+    let body;
+    if (!rows) {
+      body = `<p class="muted">Loading...</p>`;
+    } else if (!Array.isArray(rows)) {
+      body = `<p class="muted">Failed: ${escapeHTML(rows.error)}</p>`;
+    } else {
+      const cell = (scenario, model) => {
+        const row = rows.find((r) => r.scenario === scenario && r.model_type === model);
+        const v = metricValue(row, metric);
+        const attrs = row ? ` class="heat-cell" data-ticker="${escapeHTML(ticker)}" data-scenario="${escapeHTML(scenario)}" data-model="${escapeHTML(model)}"` : ` class="heat-cell empty"`;
+        return `<td${attrs} style="background:${heatColor(v, min, max, metric)}" title="${escapeHTML(`${ticker} · ${scenario} / ${model}`)}">${formatMetric(v)}</td>`;
+      };
+      body = `
+        <table class="heatmap">
+          <thead><tr><th></th>${models.map((m) => `<th>${escapeHTML(m)}</th>`).join("")}</tr></thead>
+          <tbody>
+            ${scenarios.map((sc) => `<tr><th>${escapeHTML(sc)}</th>${models.map((m) => cell(sc, m)).join("")}</tr>`).join("")}
+          </tbody>
+        </table>`;
+    }
+    return `<div class="heatmap-card"><h4>${escapeHTML(ticker)}</h4>${body}</div>`;
+  }).join("");
+}
+
+function renderMetricsTable() {
+  const table = document.getElementById("metricsTable");
+  const metrics = metricNames();
+  const columns = [
+    { key: "ticker", label: "Ticker" },
+    { key: "scenario", label: "Method" },
+    { key: "model_type", label: "Model" },
+    ...metrics.map((m) => ({ key: m, label: m, numeric: true })),
+  ];
+  const { key, dir } = metricsExplorer.sort;
+  const rows = explorerRows();
+
+  table.querySelector("thead").innerHTML = `<tr>${columns
+    .map((c) => {
+      const arrow = c.key === key ? (dir > 0 ? " ▲" : " ▼") : "";
+      return `<th data-sort="${escapeHTML(c.key)}" class="${c.numeric ? "num" : ""}">${escapeHTML(c.label)}${arrow}</th>`;
+    })
+    .join("")}</tr>`;
+
+  table.querySelector("tbody").innerHTML = rows.length
+    ? rows.map((r) => `
+        <tr data-ticker="${escapeHTML(r.ticker)}" data-scenario="${escapeHTML(r.scenario)}" data-model="${escapeHTML(r.model_type)}">
+          ${columns.map((c) => `<td class="${c.numeric ? "num" : ""}">${c.numeric ? formatMetric(metricValue(r, c.key)) : escapeHTML(r[c.key])}</td>`).join("")}
+        </tr>`).join("")
+    : `<tr><td colspan="${columns.length}" class="muted">No metrics match.</td></tr>`;
+
+  document.getElementById("metricsCount").textContent = `${rows.length} configurations`;
+}
+
+function renderMetricsExplorer() {
+  const metricSelect = document.getElementById("metricsMetric");
+  const metrics = metricNames();
+  if (!metrics.includes(metricsExplorer.metric)) metricsExplorer.metric = "DA";
+  metricSelect.innerHTML = metrics
+    .map((m) => `<option value="${escapeHTML(m)}"${m === metricsExplorer.metric ? " selected" : ""}>${escapeHTML(m)}</option>`)
+    .join("");
+
+  document.querySelectorAll("#metricsTickers input").forEach((box) => {
+    box.checked = metricsExplorer.tickers.includes(box.value);
+  });
+  renderMetricsHeatmaps();
+  renderMetricsTable();
+}
+
+async function refreshMetricsExplorer() {
+  const signal = supersedeRequests("metrics");
+  const status = document.getElementById("metricsStatus");
+  const tickers = metricsExplorer.tickers.slice();
+  status.textContent = `Loading metrics for ${tickers.join(", ")}...`;
+  renderMetricsExplorer();
+
+  await Promise.all(tickers.map(async (ticker) => {
+    if (Array.isArray(metricsExplorer.rows.get(ticker))) return;
+    try {
+      metricsExplorer.rows.set(ticker, await getAllMetricsForTicker(ticker, { signal }));
+    } catch (e) {
+      if (isCancellation(e)) return;
+      console.warn(`Metrics explorer: ${ticker} failed:`, e);
+      metricsExplorer.rows.set(ticker, { error: e.message });
+    }
+  }));
+  if (!finishRequests("metrics", signal)) return;
+
+  status.textContent = "Click a cell or row to run that configuration.";
+  renderMetricsExplorer();
+}
+
+// Run a ticker + method + model from the explorer on the chart. It goes
+// straight to "Show Prediction": the best-DA button would pick its own.
+function applyExplorerConfiguration(chart, el) {
+  const select = document.getElementById("stockSymbol");
+  // a ticker change event pushes its own entry; fold the pick into that one
+  const tickerChanged = select.value !== el.dataset.ticker;
+  if (tickerChanged) {
+    select.value = el.dataset.ticker;
+    select.dispatchEvent(new Event("change"));
+  }
+  applyConfiguration(el.dataset.scenario, el.dataset.model);
+  syncURLState(tickerChanged);
+  showView(chart, "chart");
+  document.getElementById("btnPredict").click();
+}
+
+// One checkbox per catalog ticker; picks the catalog no longer has are dropped.
+function renderMetricsTickerChoices() {
+  const tickers = watchlistTickers();
+  metricsExplorer.tickers = metricsExplorer.tickers.filter((t) => tickers.includes(t));
+  document.getElementById("metricsTickers").innerHTML = tickers
+    .map((t) => `<label><input type="checkbox" value="${escapeHTML(t)}"${metricsExplorer.tickers.includes(t) ? " checked" : ""} /> ${escapeHTML(t)}</label>`)
+    .join("");
+}
+
+function initMetricsExplorer(chart) {
+  const tickerHost = document.getElementById("metricsTickers");
+  renderMetricsTickerChoices();
+  tickerHost.addEventListener("change", () => {
+    metricsExplorer.tickers = [...tickerHost.querySelectorAll("input:checked")].map((b) => b.value);
+    refreshMetricsExplorer();
+  });
+
+  document.getElementById("metricsMetric").addEventListener("change", (e) => {
+    metricsExplorer.metric = e.target.value;
+    renderMetricsHeatmaps();
+  });
+  document.getElementById("metricsFilter").addEventListener("input", (e) => {
+    metricsExplorer.filter = e.target.value;
+    renderMetricsTable();
+  });
+  document.getElementById("metricsTable").querySelector("thead").addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-sort]");
+    if (!th) return;
+    const key = th.dataset.sort;
+    const numeric = !METRICS_KEY_FIELDS.includes(key);
+    const dir = metricsExplorer.sort.key === key
+      ? -metricsExplorer.sort.dir
+      : numeric && !LOWER_IS_BETTER_RE.test(key) ? -1 : 1;
+    metricsExplorer.sort = { key, dir };
+    renderMetricsTable();
+  });
+  document.getElementById("metricsTable").querySelector("tbody").addEventListener("click", (e) => {
+    const tr = e.target.closest("tr[data-ticker]");
+    if (tr) applyExplorerConfiguration(chart, tr);
+  });
+  document.getElementById("metricsHeatmaps").addEventListener("click", (e) => {
+    const cell = e.target.closest(".heat-cell[data-ticker]");
+    if (cell) applyExplorerConfiguration(chart, cell);
+  });
+  document.getElementById("btnMetricsRefresh").addEventListener("click", () => {
+    invalidateResponseCache((body, path) => path === "/metrics" && metricsExplorer.tickers.includes(body.ticker));
+    metricsExplorer.tickers.forEach((t) => metricsExplorer.rows.delete(t));
+    refreshMetricsExplorer();
+  });
+}
+
+function showView(chart, view) {
+  const watchlist = view === "watchlist";
+  const container = document.querySelector(".container");
+  container.classList.toggle("watchlist-mode", watchlist);
+  container.classList.toggle("metrics-mode", view === "metrics");
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.view === view);
+  });
+  if (watchlist) {
+    if (!watchlistResults.size) refreshWatchlist();
+    else renderWatchlist();
+  } else if (view === "metrics") {
+    // start from the stock on the chart
+    if (!metricsExplorer.tickers.length) metricsExplorer.tickers = [document.getElementById("stockSymbol").value];
+    refreshMetricsExplorer();
+  } else {
+    // the canvas had no size while hidden
+    chart.setupCanvas();
+    chart.render();
+  }
+}
+
+function initWatchlist(chart) {
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.addEventListener("click", () => showView(chart, tab.dataset.view));
+  });
+  document.getElementById("btnWatchlistRefresh").addEventListener("click", () => {
+    const tickers = watchlistTickers();
+    invalidateResponseCache((body, path) => path !== "/metrics" && tickers.includes(body.ticker));
+    refreshWatchlist();
+  });
+
+  // card -> full chart view for that ticker
+  document.getElementById("watchlistGrid").addEventListener("click", (e) => {
+    const card = e.target.closest(".watch-card");
+    if (!card) return;
+    const select = document.getElementById("stockSymbol");
+    select.value = card.dataset.ticker;
+    select.dispatchEvent(new Event("change"));
+    showView(chart, "chart");
+    document.getElementById("btnPredictBest").click();
+  });
+}
+
+// ------------------------
+// Cached data: force refresh + revalidation notice
+// ------------------------
+// Run whatever is on the chart again (single model, ensemble or comparison).
+function rerunCurrent() {
+  if (!currentRun) return;
+  const id = currentRun.mode === "comparison" ? "btnCompare" : currentRun.mode === "ensemble" ? "btnPredictBest" : "btnPredict";
+  document.getElementById(id).click();
+}
+
+function forceRefreshCurrent() {
+  const ticker = currentRun ? currentRun.ticker : document.getElementById("stockSymbol").value;
+  invalidateResponseCache((body) => body.ticker === ticker);
+  watchlistResults.delete(ticker);
+  document.getElementById("dataStatusNotice").hidden = true;
+  if (currentRun) rerunCurrent();
+  else document.getElementById("dataStatus").textContent = `Cached data for ${ticker} cleared.`;
+}
+
+function initDataStatus() {
+  document.getElementById("btnForceRefresh").addEventListener("click", forceRefreshCurrent);
+  document.getElementById("btnReloadNewData").addEventListener("click", () => {
+    document.getElementById("dataStatusNotice").hidden = true;
+    rerunCurrent();
+  });
+
+  // a stale answer on screen was refreshed in the background with different data
+  window.addEventListener("responsecache:revalidated", (e) => {
+    const body = e.detail.body || {};
+    if (!currentRun || body.ticker !== currentRun.ticker) return;
+    document.getElementById("dataStatusNotice").hidden = false;
+  });
+}
+
+// ------------------------
+// Export (CSV / JSON / PNG)
+// ------------------------
+// Exports read the same buffers the chart draws (stockData, predictionData,
+// ensembleSpread, forecastOverlays) plus `currentRun` for metadata.
+function updateExportButtons() {
+  document.querySelectorAll("[data-export]").forEach((btn) => {
+    btn.disabled = !stockData.length || !currentRun;
+  });
+}
+
+const exportRound = (v) => (typeof v === "number" && Number.isFinite(v) ? Math.round(v * 100) / 100 : v);
+
+function exportMetadata() {
+  const meta = {
+    ticker: currentRun.ticker,
+    mode: currentRun.mode,
+    scenario: currentRun.scenario,
+    model: currentRun.model,
+    directional_accuracy: typeof currentRun.da === "number" && !Number.isNaN(currentRun.da) ? exportRound(currentRun.da) : null,
+    lookback_days: currentRun.lookback,
+    data_as_of: currentRun.dataAsOf,
+    requested_at: currentRun.requestedAt,
+    exported_at: new Date().toISOString(),
+    band: forecastBandInfo ? forecastBandLabel() : null,
+    price_data: stockCandlesSynthetic ? "closes only" : "ohlc",
+  };
+  if (currentRun.members) {
+    meta.members = currentRun.members.map((m) => ({ ...m, weight: m.weight === null ? null : Math.round(m.weight * 10000) / 10000 }));
+  }
+  if (currentRun.mode === "comparison") {
+    meta.overlays = forecastOverlays.map((o) => ({ scenario: o.scenario, model: o.model, directional_accuracy: o.da, error: o.error }));
+  }
+  return meta;
+}
+
+// One row per point: actual closes, then forecast steps. Ensemble rows carry
+// the member range; comparison rows carry one column per overlay.
+function buildExportRows() {
+  const baseT = stockData.length - 1;
+  const rows = stockData.map((d) => {
+    const row = { date: d.date, day: weekdayName(d.date), type: "actual", step: "" };
+    if (!stockCandlesSynthetic) Object.assign(row, { open: d.open, high: d.high, low: d.low });
+    row.close = d.close;
+    if (typeof d.volume === "number") row.volume = d.volume;
+    return row;
+  });
+
+  predictionData
+    .filter((p) => p.time > baseT)
+    .forEach((p) => {
+      const row = { date: p.date, day: weekdayName(p.date), type: "forecast", step: p.time - baseT, close: exportRound(p.price) };
+      const band = ensembleSpread.find((b) => b.time === p.time);
+      if (band) {
+        row.member_min = band.min;
+        row.member_max = band.max;
+      }
+      const bounds = forecastBand.find((b) => b.time === p.time);
+      if (bounds) {
+        row.band_lower = exportRound(bounds.lower);
+        row.band_upper = exportRound(bounds.upper);
+      }
+      rows.push(row);
+    });
+
+  const times = [...new Set(forecastOverlays.flatMap((o) => o.points.map((p) => p.time)))].sort((a, b) => a - b);
+  times.forEach((t) => {
+    const any = forecastOverlays.map((o) => o.points.find((p) => p.time === t)).find(Boolean);
+    const row = { date: any.date, day: weekdayName(any.date), type: "forecast", step: t - baseT, close: "" };
+    forecastOverlays.forEach((o) => {
+      const pt = o.points.find((p) => p.time === t);
+      row[`forecast_${o.scenario}_${o.model}`] = pt ? pt.price : "";
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCSV() {
+  const rows = buildExportRows();
+  const columns = [];
+  rows.forEach((r) => Object.keys(r).forEach((k) => {
+    if (!columns.includes(k)) columns.push(k);
+  }));
+
+  // metadata as leading "#" comment lines (pandas: read_csv(..., comment="#"))
+  const meta = exportMetadata();
+  const lines = Object.entries(meta)
+    .filter(([, v]) => v !== null && typeof v !== "object")
+    .map(([k, v]) => `# ${k}: ${v}`);
+  (meta.members || []).forEach((m) => {
+    lines.push(`# member: ${m.scenario} / ${m.model}, DA ${m.da}, weight ${m.weight === null ? "median" : m.weight}`);
+  });
+
+  lines.push(columns.join(","));
+  rows.forEach((r) => lines.push(columns.map((c) => csvCell(r[c])).join(",")));
+  return lines.join("\n") + "\n";
+}
+
+function buildJSON() {
+  return JSON.stringify({ metadata: exportMetadata(), series: buildExportRows() }, null, 2);
+}
+
+function exportBaseName() {
+  const config = currentRun.mode === "comparison" ? "comparison" : `${currentRun.scenario}-${currentRun.model}`;
+  return `${currentRun.ticker}_${config}_${currentRun.dataAsOf || "nodata"}`.replace(/[^A-Za-z0-9_.-]+/g, "_");
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function wrapCanvasText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  text.split(" ").forEach((word) => {
+    const next = line ? `${line} ${word}` : word;
+    if (ctx.measureText(next).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
 }
 
-function hideLoadingScreen() {
-  document.getElementById("loadingOverlay").classList.remove("show");
+function exportLegendEntries() {
+  const entries = [{ label: "Actual close", color: "#111827" }];
+  if (predictionData.length) {
+    entries.push({ label: currentRun.mode === "ensemble" ? "Ensemble forecast" : "Forecast", color: "#3498db" });
+  }
+  if (ensembleSpread.length) entries.push({ label: "Member spread", color: "rgba(52, 152, 219, 0.35)" });
+  if (forecastBandInfo) entries.push({ label: `Uncertainty band ${forecastBandLabel()}`, color: "rgba(52, 152, 219, 0.2)" });
+  forecastOverlays
+    .filter((o) => o.visible && !o.error)
+    .forEach((o) => {
+      const da = typeof o.da === "number" && !Number.isNaN(o.da) ? ` (DA ${o.da.toFixed(2)}%)` : "";
+      entries.push({ label: `${o.label}${da}`, color: o.color });
+    });
+  currentBenchmarks().forEach((b) => entries.push({ label: `${b.label} benchmark`, color: b.color }));
+  return entries;
 }
 
-function setModelHint(text) {
-  document.getElementById("modelHint").textContent = text || "";
-}
+// Title, chart (current view), date axis, legend and disclaimer in one image.
+function buildChartImage(chart) {
+  const scale = Math.max(2, window.devicePixelRatio || 1);
+  const font = (size, weight) => `${weight || 400} ${size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  const W = chart.width;
+  const header = 58;
+  const axis = 26;
+  const disclaimer = [...document.querySelectorAll(".disclaimer li")].map((li) => li.textContent.trim()).join(" ");
 
-function enforceModelRules() {
-  const scenario = document.getElementById("scenarioSelect").value;
-  const modelSelect = document.getElementById("modelSelect");
-  const sgaOpt = [...modelSelect.options].find((o) => o.value === "SGA_LSTM");
+  // measure wrapped footer lines before sizing the canvas
+  const probe = document.createElement("canvas").getContext("2d");
+  probe.font = font(11);
+  const footerLines = wrapCanvasText(probe, disclaimer, W - 40);
+  const legend = exportLegendEntries();
+  const legendRows = Math.ceil(legend.length / 3);
+  const H = header + chart.height + axis + legendRows * 20 + 12 + footerLines.length * 15 + 16;
 
-  if (scenario === "baseline") {
-    if (sgaOpt) sgaOpt.disabled = true;
-    if (modelSelect.value === "SGA_LSTM") modelSelect.value = "LSTM";
-    setModelHint("Note: baseline method doesn't support SGA_LSTM.");
-  } else {
-    if (sgaOpt) sgaOpt.disabled = false;
-    setModelHint("");
-  }
-}
+  const out = document.createElement("canvas");
+  out.width = Math.round(W * scale);
+  out.height = Math.round(H * scale);
+  const ctx = out.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, W, H);
 
-function toOHLCFromCloses(closes) {
-  const out = [];
-  for (let i = 0; i < closes.length; i++) {
-    const close = Number(closes[i]);
-    const prev = i === 0 ? close : Number(closes[i - 1]);
-    const open = prev;
-    const high = Math.max(open, close);
-    const low = Math.min(open, close);
-    out.push({ time: i, open, high, low, close });
-  }
+  // title
+  const meta = exportMetadata();
+  const config = meta.mode === "comparison" ? "model comparison" : `${meta.scenario} / ${meta.model}`;
+  ctx.fillStyle = "#2c3e50";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = font(18, 700);
+  ctx.fillText(`${meta.ticker} · ${config}`, 20, 26);
+  ctx.font = font(12);
+  ctx.fillStyle = "#666";
+  const da = meta.directional_accuracy === null ? "-" : `${meta.directional_accuracy.toFixed(2)}%`;
+  const synthetic = chart.mode === "candlestick" && !chart.isReturns() && stockCandlesSynthetic ? " · synthetic candles" : "";
+  ctx.fillText(
+    `${document.getElementById("headerRange").textContent} · DA ${da} · requested ${meta.requested_at.replace("T", " ").slice(0, 16)} UTC${synthetic}`,
+    20,
+    46
+  );
+
+  // chart + x-axis labels
+  ctx.drawImage(chart.renderToCanvas(scale), 0, header, W, chart.height);
+  ctx.font = font(12);
+  ctx.textAlign = "center";
+  computeXAxisLabels(chart).forEach((l) => {
+    ctx.fillStyle = l.forecast ? "#3498db" : "#666";
+    ctx.fillText(l.text, l.x, header + chart.height + 18);
+  });
+
+  // legend (3 per row)
+  let y = header + chart.height + axis + 14;
+  ctx.textAlign = "left";
+  legend.forEach((entry, i) => {
+    const x = 20 + (i % 3) * ((W - 40) / 3);
+    if (i && i % 3 === 0) y += 20;
+    ctx.fillStyle = entry.color;
+    ctx.fillRect(x, y - 9, 12, 10);
+    ctx.fillStyle = "#333";
+    ctx.fillText(entry.label, x + 18, y);
+  });
+
+  // disclaimer
+  y += 24;
+  ctx.font = font(11);
+  ctx.fillStyle = "#888";
+  footerLines.forEach((line) => {
+    ctx.fillText(line, 20, y);
+    y += 15;
+  });
   return out;
 }
 
-function addDaysISO(dateStr, days) {
-  const [y, m, d] = dateStr.split("-").map(Number);
-  const utc = new Date(Date.UTC(y, m - 1, d));
-  utc.setUTCDate(utc.getUTCDate() + days);
-  return utc.toISOString().slice(0, 10);
+function exportCurrent(kind, chart) {
+  if (!stockData.length || !currentRun) {
+    alert("Run a prediction first.");
+    return;
+  }
+  const name = exportBaseName();
+  if (kind === "csv") {
+    downloadBlob(new Blob([buildCSV()], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+  } else if (kind === "json") {
+    downloadBlob(new Blob([buildJSON()], { type: "application/json" }), `${name}.json`);
+  } else if (kind === "png") {
+    buildChartImage(chart).toBlob((blob) => {
+      if (blob) downloadBlob(blob, `${name}.png`);
+      else alert("Could not render the chart image.");
+    }, "image/png");
+  }
 }
 
-function updateHeader(ticker, recentDates, forecastDates) {
-  document.getElementById("headerStock").textContent = ticker;
-  if (Array.isArray(recentDates) && recentDates.length) {
-    const start = recentDates[0];
-    const end = (forecastDates && forecastDates.length) ? forecastDates[forecastDates.length - 1] : recentDates[recentDates.length - 1];
-    document.getElementById("headerRange").textContent = `${start} - ${end} (last 30 days + 5-step forecast)`;
-  } else {
-    document.getElementById("headerRange").textContent = "Last 30 days + 5-step forecast";
+// ------------------------
+// API settings panel
+// ------------------------
+// Minimal valid bodies used to check the backend is reachable. /infer is left
+// out: every call to it runs the model.
+// Every call to /infer runs the model, so it is probed with a body that lacks
+// model_type: the 422 it answers with shows the endpoint is there.
+const API_PING_REQUESTS = [
+  { path: "/recent", body: { ticker: "BBCA", scenario: "baseline", n_days: 5, return_type: "log" } },
+  { path: "/metrics", body: { ticker: "BBCA" } },
+  { path: "/infer", body: { ticker: "BBCA", scenario: "baseline" }, reachableStatus: 422 },
+];
+
+async function pingEndpoint({ path, body, reachableStatus }) {
+  const started = performance.now();
+  try {
+    await postJSON(path, body, { retries: 0, cache: false });
+    return { path, ok: true, status: "OK", ms: Math.round(performance.now() - started) };
+  } catch (e) {
+    const ms = Math.round(performance.now() - started);
+    if (reachableStatus && e.status === reachableStatus) {
+      return { path, ok: true, status: `Reachable (HTTP ${e.status} for the probe, model not run)`, ms };
+    }
+    // An HTTP error means the server answered but can't serve this endpoint.
+    if (e.status) return { path, ok: false, status: `HTTP ${e.status}: ${e.message}`, ms };
+    if (e.kind === "timeout") return { path, ok: false, status: `Timed out: ${e.message}`, ms };
+    if (e.kind === "schema") return { path, ok: false, status: `Unexpected response: ${e.message}`, ms };
+    return { path, ok: false, status: `Unreachable: ${e.message}`, ms };
   }
 }
 
-function updateModelDetails(scenario, model, da) {
-  document.getElementById("methodLabel").textContent = scenario;
-  document.getElementById("modelLabel").textContent = model;
-  document.getElementById("daLabel").textContent =
-    typeof da === "number" && !Number.isNaN(da) ? `${da.toFixed(2)}%` : "-";
-}
+async function testConnection() {
+  const list = document.getElementById("apiTestResults");
+  if (!list) return;
+  list.innerHTML = `<li class="muted">Testing ${escapeHTML(effectiveApiBase() || "(no base URL)")}…</li>`;
 
-function renderSeriesTable(recentDates, recentCloses, forecastDates, forecastPrices) {
-  const host = document.getElementById("seriesTable");
-  if (!host) return;
+  const results = await Promise.all(API_PING_REQUESTS.map(pingEndpoint));
 
-  const rows = [];
+  list.innerHTML = "";
+  results.forEach((r) => {
+    const li = document.createElement("li");
+    li.className = r.ok ? "ok" : "fail";
+    li.textContent = `${r.ok ? "✓" : "✗"} ${r.path} — ${r.status} (${r.ms} ms)`;
+    list.appendChild(li);
+  });
+}
 
-  // last 20
-  for (let i = 0; i < recentDates.length; i++) {
-    rows.push({
-      date: recentDates[i],
-      price: Number(recentCloses[i]),
-      tag: "actual",
-    });
-  }
+function fillApiSettingsForm() {
+  const env = getActiveEnvironment();
+  document.getElementById("apiEnvSelect").value = apiConfig.active;
+  document.getElementById("apiBaseInput").value = env.base;
+  document.getElementById("apiKeyInput").value = env.key;
 
-  // next 5
-  for (let i = 0; i < forecastDates.length; i++) {
-    rows.push({
-      date: forecastDates[i],
-      price: Number(forecastPrices[i]),
-      tag: "forecast",
-    });
+  const note = document.getElementById("apiOverrideNote");
+  if (isMockMode()) {
+    note.style.display = "block";
+    note.querySelector("span").textContent = "Mock mode (?mock=1): requests are served by the built-in fixtures.";
+  } else if (apiConfig.urlOverride) {
+    note.style.display = "block";
+    note.querySelector("span").textContent = `Using ?api= override: ${apiConfig.urlOverride}`;
+  } else {
+    note.style.display = "none";
   }
+}
 
-  host.innerHTML = `
-    <table>
-      <thead>
-        <tr>
-          <th>Date</th>
-          <th>Close</th>
-          <th>Type</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${rows
-          .map((r) => {
-            const price = typeof r.price === "number" && !Number.isNaN(r.price) ? r.price.toFixed(2) : "-";
-            return `
-              <tr>
-                <td>${r.date}</td>
-                <td>${price}</td>
-                <td><span class="tag">${r.tag}</span></td>
-              </tr>
-            `;
-          })
-          .join("")}
-      </tbody>
-    </table>
-  `;
+// Called whenever the effective backend changes. Cached responses are keyed by
+// base URL, so only state derived from the old backend is dropped.
+function onApiConfigChanged() {
+  watchlistResults.clear();
+  metricsExplorer.rows.clear();
+  document.getElementById("apiTestResults").innerHTML = "";
+  refreshTopDAForTicker(document.getElementById("stockSymbol").value);
+  // another backend may serve other tickers and models
+  loadModelCatalog().then(renderCatalogControls);
 }
 
-function renderXAxis(lookback, horizon) {
-  const xAxis = document.getElementById("xAxis");
-  if (!xAxis) return;
-  
-  xAxis.innerHTML = "";
+function initApiSettingsPanel() {
+  const envSelect = document.getElementById("apiEnvSelect");
+  if (!envSelect) return;
 
-  const total = lookback + horizon;
+  Object.entries(apiConfig.environments).forEach(([name, env]) => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = env.label;
+    envSelect.appendChild(opt);
+  });
+  fillApiSettingsForm();
 
-  for (let i = 0; i < total; i++) {
-    const span = document.createElement("span");
+  envSelect.addEventListener("change", () => {
+    apiConfig.active = envSelect.value;
+    saveApiConfig();
+    fillApiSettingsForm();
+    onApiConfigChanged();
+  });
 
-    if (i < lookback) {
-      const offset = i - lookback;
-      span.textContent = offset === 0 ? "t" : `t${offset}`;
-    } else {
-      span.textContent = `+${i - lookback + 1}`;
+  document.getElementById("btnApiSave").addEventListener("click", () => {
+    const env = getActiveEnvironment();
+    env.base = normalizeBase(document.getElementById("apiBaseInput").value);
+    env.key = document.getElementById("apiKeyInput").value.trim();
+    saveApiConfig();
+    fillApiSettingsForm();
+    onApiConfigChanged();
+  });
+
+  document.getElementById("btnApiTest").addEventListener("click", async () => {
+    const button = document.getElementById("btnApiTest");
+    button.disabled = true;
+    try {
+      await testConnection();
+    } finally {
+      button.disabled = false;
     }
+  });
 
-    xAxis.appendChild(span);
-  }
+  document.getElementById("btnApiClearOverride").addEventListener("click", () => {
+    apiConfig.urlOverride = "";
+    const url = new URL(window.location.href);
+    url.searchParams.delete("api");
+    history.replaceState(null, "", url);
+    fillApiSettingsForm();
+    onApiConfigChanged();
+  });
 }
 
 // ------------------------
-// API helpers
+// Deep links (app state in the URL)
 // ------------------------
-async function postJSON(url, body) {
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: buildHeaders(),
-    body: JSON.stringify(body),
-  });
-
-  const ct = resp.headers.get("content-type") || "";
-  const payload = ct.includes("application/json") ? await resp.json() : await resp.text();
+// ?ticker=BBRI&scenario=weighted&model=TCN&chart=candlestick&window=60[&run=1]
+// Other query flags (env, api, mock...) are left untouched. `run=1` makes the
+// link run the prediction as soon as the page opens.
+const URL_STATE_CONTROLS = {
+  ticker: "stockSymbol",
+  scenario: "scenarioSelect",
+  model: "modelSelect",
+  chart: "chartTypeSelect",
+  window: "lookbackSelect",
+  mode: "predictModeSelect",
+  ens_size: "ensembleSizeSelect",
+  ens_weight: "ensembleWeightingSelect",
+  series: "seriesSelect",
+  returns: "returnTypeSelect",
+};
+const ENSEMBLE_URL_KEYS = ["ens_size", "ens_weight"];
 
-  if (!resp.ok) {
-    const msg =
-      payload && payload.detail
-        ? payload.detail
-        : typeof payload === "string"
-        ? payload
-        : "Request failed";
-    throw new Error(msg);
-  }
-  return payload;
+function selectHasOption(select, value) {
+  return [...select.options].some((o) => o.value === value && !o.disabled);
 }
 
-async function fetchRecent(ticker, scenario) {
-  return await postJSON(`${API_BASE}/recent`, {
-    ticker,
-    scenario,
-    n_days: 30,
-    return_type: "log",
+// Read the state keys from the current URL, dropping values the controls don't offer.
+function readURLState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  Object.entries(URL_STATE_CONTROLS).forEach(([key, id]) => {
+    const value = params.get(key);
+    if (value === null) return;
+    const select = document.getElementById(id);
+    const normalized = key === "ticker" ? value.toUpperCase() : value;
+    // availability (model-catalog.js) is checked when applying
+    if ([...select.options].some((o) => o.value === normalized)) state[key] = normalized;
   });
+  state.run = ["1", "true"].includes(params.get("run"));
+  return state;
 }
 
-async function fetchInfer(ticker, scenario, model_type) {
-  return await postJSON(`${API_BASE}/infer`, {
-    ticker,
-    scenario,
-    model_type,
+// Values the controls start with in app.html (what a URL without state means).
+function defaultControlState() {
+  const state = {};
+  Object.entries(URL_STATE_CONTROLS).forEach(([key, id]) => {
+    const options = [...document.getElementById(id).options];
+    state[key] = (options.find((o) => o.defaultSelected) || options[0]).value;
   });
+  return state;
 }
 
-async function fetchMetrics(ticker, scenario, model_type) {
-  const payload = { ticker };
-  if (scenario) payload.scenario = scenario;
-  if (model_type) payload.model_type = model_type;
-  return await postJSON(`${API_BASE}/metrics`, payload);
+function currentControlState() {
+  const state = {};
+  Object.entries(URL_STATE_CONTROLS).forEach(([key, id]) => {
+    state[key] = document.getElementById(id).value;
+  });
+  if (state.mode !== "ensemble") ENSEMBLE_URL_KEYS.forEach((key) => delete state[key]);
+  return state;
 }
 
-const metricsCache = new Map(); // ticker -> metrics rows
+// Set while a run started from the URL (deep link, Back/Forward) is on its way
+// to runPrediction, so it doesn't push a history entry of its own.
+let urlRestoreRun = false;
 
-async function getAllMetricsForTicker(ticker) {
-  if (metricsCache.has(ticker)) return metricsCache.get(ticker);
-  const met = await fetchMetrics(ticker); // ticker only (all rows)
-  const rows = met && Array.isArray(met.results) ? met.results : [];
-  metricsCache.set(ticker, rows);
-  return rows;
-}
+// Push the control state onto the history (no-op when the URL already matches).
+// `replace` rewrites the current entry instead.
+function syncURLState(replace) {
+  const params = new URLSearchParams(window.location.search);
+  Object.keys(URL_STATE_CONTROLS).forEach((key) => params.delete(key));
+  params.delete("run");
+  Object.entries(currentControlState()).forEach(([key, value]) => params.set(key, value));
 
-function renderTopDATable(rows) {
-  const table = document.getElementById("daTopTable");
-  if (!table) return;
-  const tbody = table.querySelector("tbody");
-  if (!tbody) return;
+  const search = `?${params.toString()}`;
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace === true) history.replaceState(null, "", url);
+  else history.pushState(null, "", url);
+}
 
-  tbody.innerHTML = "";
+function shareableURL() {
+  const url = new URL(window.location.href);
+  Object.entries(currentControlState()).forEach(([key, value]) => url.searchParams.set(key, value));
+  url.searchParams.set("run", "1");
+  return url.toString();
+}
 
-  const clean = Array.isArray(rows) ? rows : [];
-  if (!clean.length) {
-    const tr = document.createElement("tr");
-    tr.innerHTML = `<td colspan="4" class="muted">No DA metrics found for this stock.</td>`;
-    tbody.appendChild(tr);
-    return;
-  }
+// Set the controls from a URL state. Scenario goes first so the catalog's
+// combination rules are applied before the model is picked.
+function applyURLState(chart, state) {
+  ["ticker", "scenario", "model", "chart", "window", "mode", "ens_size", "ens_weight", "series", "returns"].forEach((key) => {
+    if (state[key] === undefined) return;
+    const select = document.getElementById(URL_STATE_CONTROLS[key]);
+    if (key === "model" && !selectHasOption(select, state.model)) return;
+    select.value = state[key];
+    if (key === "scenario") enforceModelRules();
+  });
 
-  const top10 = clean
-    .slice()
-    .sort((a, b) => Number(b.DA) - Number(a.DA))
-    .slice(0, 10);
+  document.getElementById("headerStock").textContent = document.getElementById("stockSymbol").value;
+  document.getElementById("ensembleOptions").style.display =
+    document.getElementById("predictModeSelect").value === "ensemble" ? "block" : "none";
+  chart.setMode(document.getElementById("chartTypeSelect").value);
+  chart.setSeries(document.getElementById("seriesSelect").value);
+  chart.render();
+  updateTopDAHighlight();
+}
 
-  top10.forEach((r, i) => {
-    const tr = document.createElement("tr");
-    tr.dataset.scenario = r.scenario;
-    tr.dataset.model = r.model_type;
+// A link that names a scenario/model runs exactly that configuration; otherwise
+// fall back to "Show Prediction" (best model or ensemble).
+function runFromURLState(state) {
+  urlRestoreRun = true;
+  const single = document.getElementById("predictModeSelect").value !== "ensemble" && state.scenario && state.model;
+  document.getElementById(single ? "btnPredict" : "btnPredictBest").click();
+}
 
-    const daVal = typeof r.DA === "number" ? r.DA : Number(r.DA);
-    const daText = Number.isFinite(daVal) ? daVal.toFixed(2) : "-";
+// Whether the run on the chart already shows what a URL state asks for. Chart
+// type and series are display-only and don't count.
+function runMatchesURLState(state) {
+  const run = currentRun;
+  if (!run || run.ticker !== state.ticker || String(run.lookback) !== state.window) return false;
+  if (stockReturnType !== state.returns) return false;
+  if (state.mode === "ensemble") {
+    return run.mode === "ensemble" &&
+      String(run.settings.size === Infinity ? "all" : run.settings.size) === state.ens_size &&
+      run.settings.weighting === state.ens_weight;
+  }
+  return run.mode === "single" && run.scenario === state.scenario && run.model === state.model;
+}
 
-    tr.innerHTML = `
-      <td>${i + 1}</td>
-      <td>${r.scenario}</td>
-      <td>${r.model_type}</td>
-      <td>${daText}</td>
-    `;
+function initURLState(chart) {
+  const state = readURLState();
+  applyURLState(chart, state);
 
-    // Click row to apply method + model
-    tr.addEventListener("click", () => {
-      const scenarioEl = document.getElementById("scenarioSelect");
-      const modelEl = document.getElementById("modelSelect");
-      if (!scenarioEl || !modelEl) return;
+  // Normalize a deep link in place: fill in missing keys, drop invalid ones and
+  // the one-shot run=1 (so reloads and history entries don't re-trigger it).
+  if (state.run || Object.keys(state).length > 1) syncURLState(true);
 
-      scenarioEl.value = r.scenario;
-      enforceModelRules();
-      modelEl.value = r.model_type;
-      updateTopDAHighlight();
+  Object.values(URL_STATE_CONTROLS).forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      urlRestoreRun = false;
+      syncURLState();
     });
-
-    tbody.appendChild(tr);
   });
 
-  updateTopDAHighlight();
-}
-
-function updateTopDAHighlight() {
-  const table = document.getElementById("daTopTable");
-  if (!table) return;
-  const scenario = document.getElementById("scenarioSelect")?.value;
-  const model = document.getElementById("modelSelect")?.value;
+  window.addEventListener("popstate", () => {
+    const previousTicker = document.getElementById("stockSymbol").value;
+    const restored = { ...defaultControlState(), ...readURLState() };
+    applyURLState(chart, restored);
 
-  table.querySelectorAll("tbody tr").forEach((tr) => {
-    const s = tr.dataset.scenario;
-    const m = tr.dataset.model;
-    const active = s && m && s === scenario && m === model;
-    tr.classList.toggle("active", Boolean(active));
+    const ticker = document.getElementById("stockSymbol").value;
+    if (ticker !== previousTicker) refreshTopDAForTicker(ticker);
+    // keep what's on screen consistent with the restored controls
+    if (stockData.length && !runMatchesURLState(restored)) runFromURLState(restored);
   });
-}
 
-async function refreshTopDAForTicker(ticker) {
-  const table = document.getElementById("daTopTable");
-  if (!table) return;
-  const tbody = table.querySelector("tbody");
-  if (!tbody) return;
-
-  tbody.innerHTML = `<tr><td colspan="4" class="muted">Loading DA metrics…</td></tr>`;
+  document.getElementById("btnCopyLink").addEventListener("click", async () => {
+    const link = shareableURL();
+    try {
+      await navigator.clipboard.writeText(link);
+      document.getElementById("btnCopyLink").textContent = "Link copied";
+      setTimeout(() => {
+        document.getElementById("btnCopyLink").textContent = "Copy link";
+      }, 1500);
+    } catch (e) {
+      prompt("Copy this link:", link);
+    }
+  });
 
-  try {
-    const rows = await getAllMetricsForTicker(ticker);
-    renderTopDATable(rows);
-  } catch (e) {
-    console.error("Failed to load DA table:", e);
-    tbody.innerHTML = `<tr><td colspan="4" class="muted">Failed to load DA metrics.</td></tr>`;
-  }
+  return state;
 }
 
 // ------------------------
@@ -518,19 +4412,40 @@ async function refreshTopDAForTicker(ticker) {
 // ------------------------
 document.addEventListener("DOMContentLoaded", function () {
   const chart = new StockChart("stockChart");
-  chart.render();
+  const indicatorPanels = [
+    new IndicatorPanel("rsiPanel", chart, "rsi"),
+    new IndicatorPanel("macdPanel", chart, "macd"),
+    new IndicatorPanel("volumePanel", chart, "volume"),
+  ];
+  chart.onRender = () => {
+    renderXAxis(chart);
+    indicatorPanels.forEach((p) => p.render());
+    renderReturnsPanel(chart);
+    renderBenchmarkPanel();
+    renderPositionCalculator();
+    updateCandleBadge(chart);
+  };
+  initIndicatorControls(chart, indicatorPanels);
+  initPositionCalculator();
 
   // Initialize with default x-axis (30 historical + 5 forecast)
-  renderXAxis(30, 5);
+  setXAxisData(DEFAULT_LOOKBACK, 5);
+  chart.render();
+
+  // Data window: re-run the current prediction with the new lookback
+  document.getElementById("lookbackSelect").addEventListener("change", rerunCurrent);
 
   // Resize handler
   window.addEventListener("resize", function () {
+    indicatorPanels.forEach((p) => p.setupCanvas());
     chart.setupCanvas();
     chart.render();
   });
 
-  // Rules: baseline has no SGA_LSTM
+  // Method / model combinations: the page's lists until the backend's catalog is in
+  setModelCatalog(catalogFromControls());
   enforceModelRules();
+  renderCompareGrid();
   document.getElementById("scenarioSelect").addEventListener("change", () => {
     enforceModelRules();
   });
@@ -543,26 +4458,53 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // Load Top 10 DA table on stock change (and on initial load)
   document.getElementById("stockSymbol").addEventListener("change", async () => {
+    // a run still loading for the previous ticker must not draw over this one
+    cancelRequests("chart");
     const ticker = document.getElementById("stockSymbol").value;
     const headerStock = document.getElementById("headerStock");
     if (headerStock) headerStock.textContent = ticker;
     await refreshTopDAForTicker(ticker);
   });
 
-  // initial load
-  const initialTicker = document.getElementById("stockSymbol").value;
-  refreshTopDAForTicker(initialTicker);
+  initApiSettingsPanel();
+  initHistoryPanel();
+  initWatchlist(chart);
+  initMetricsExplorer(chart);
+  initDataStatus();
+  document.getElementById("btnRunErrorClose").addEventListener("click", clearRunError);
+  initTickerSearch();
+  showMockBadge();
+
+  // The catalog can add tickers and models a deep link refers to, so the URL
+  // is read once it is in.
+  loadModelCatalog().then(() => {
+    renderCatalogControls();
+    const linkState = initURLState(chart);
+
+    // initial load
+    const initialTicker = document.getElementById("stockSymbol").value;
+    refreshTopDAForTicker(initialTicker);
+    // Deep link with run=1
+    if (linkState.run) runFromURLState(linkState);
+  });
 
   // Predict using best DA config from CSV
   const btnBest = document.getElementById("btnPredictBest");
   if (btnBest) {
+    // Runs supersede each other (supersedeRequests), so the run buttons stay
+    // enabled: a click made while another run is loading must not be dropped.
+    btnBest.dataset.idleText = btnBest.textContent;
     btnBest.addEventListener("click", async () => {
       const button = btnBest;
-      const originalText = button.textContent;
-      button.disabled = true;
-      button.textContent = "Choosing best model...";
 
       try {
+        if (document.getElementById("predictModeSelect").value === "ensemble") {
+          button.textContent = "Building ensemble...";
+          await runEnsemble(chart, getEnsembleSettings());
+          return;
+        }
+
+        button.textContent = "Choosing best model...";
         const ticker = document.getElementById("stockSymbol").value;
         const rows = await getAllMetricsForTicker(ticker);
         if (!rows || !rows.length) throw new Error("No DA metrics found for this stock.");
@@ -580,152 +4522,65 @@ document.addEventListener("DOMContentLoaded", function () {
 
         document.getElementById("btnPredict").click();
       } catch (e) {
+        if (isCancellation(e)) return;
         console.error(e);
-        alert(`Error: ${e.message}`);
+        showRunError(e);
       } finally {
-        button.disabled = false;
-        button.textContent = originalText;
+        button.textContent = button.dataset.idleText;
       }
     });
   }
 
 
-  document.getElementById("chartTypeSelect").addEventListener("change", () => {
-    chart.setMode(document.getElementById("chartTypeSelect").value);
-    chart.render();
+  document.getElementById("predictModeSelect").addEventListener("change", () => {
+    const ensemble = document.getElementById("predictModeSelect").value === "ensemble";
+    document.getElementById("ensembleOptions").style.display = ensemble ? "block" : "none";
   });
 
-  document.getElementById("btnPredict").addEventListener("click", async function () {
-    const button = this;
-    const originalText = button.textContent;
-    const startTime = Date.now();
-    const minDisplayTime = 600;
+  document.getElementById("btnCompare").addEventListener("click", async () => {
+    const button = document.getElementById("btnCompare");
+    const combos = getSelectedCombinations();
+    if (!combos.length) {
+      alert("Select at least one method / model combination to compare.");
+      return;
+    }
 
     button.disabled = true;
-    button.textContent = "Predicting...";
-    showLoadingScreen();
-
     try {
-      const ticker = document.getElementById("stockSymbol").value;
-      const scenario = document.getElementById("scenarioSelect").value;
-      const model_type = document.getElementById("modelSelect").value;
-      const chartType = document.getElementById("chartTypeSelect").value;
-
-      // 1) recent
-      updateLoadingStep(1, "active");
-      const recent = await fetchRecent(ticker, scenario);
-      updateLoadingStep(1, "completed");
-
-      // 2) metrics (DA)
-      updateLoadingStep(2, "active");
-      let da = null;
-      try {
-        const met = await fetchMetrics(ticker, scenario, model_type);
-        if (met && Array.isArray(met.results) && met.results.length) {
-          // API returns DA already rounded to 2 decimals
-          da = Number(met.results[0].DA);
-        }
-      } catch (e) {
-        da = null;
-      }
-      updateLoadingStep(2, "completed");
-
-      // 3) inference
-      updateLoadingStep(3, "active");
-      const infer = await fetchInfer(ticker, scenario, model_type);
-      updateLoadingStep(3, "completed");
-
-      // ensure minimum display time (smooth loading)
-      const elapsed = Date.now() - startTime;
-      if (elapsed < minDisplayTime) {
-        await new Promise((r) => setTimeout(r, minDisplayTime - elapsed));
-      }
-
-      const closes = (recent && Array.isArray(recent.close)) ? recent.close.map(Number) : [];
-      const dates = (recent && Array.isArray(recent.dates)) ? recent.dates : [];
-
-      const predPrices = (infer && Array.isArray(infer.pred_prices)) ? infer.pred_prices.map(Number) : [];
-      const horizon = predPrices.length || 5;
-
-      const lastDate = dates.length ? dates[dates.length - 1] : null;
-      const forecastDates = Array.from({ length: horizon }, (_, i) => addDaysISO(lastDate, i + 1));
-
-      // Header + model details
-      updateHeader(ticker, dates, forecastDates);
-      updateModelDetails(scenario, model_type, da);
-
-      // predicted price (step +5)
-      const lastPred = predPrices.length ? predPrices[predPrices.length - 1] : null;
-      document.querySelector(".price-value").textContent =
-        typeof lastPred === "number" && !Number.isNaN(lastPred) ? lastPred.toFixed(2) : "-";
-
-      // details panel
-      const detailsDiv = document.getElementById("predictionDetails");
-      const directionValue = document.getElementById("directionValue");
-      const currentPriceValue = document.getElementById("currentPriceValue");
-      const confidenceValue = document.getElementById("confidenceValue");
-
-      const lastClose = closes.length ? closes[closes.length - 1] : (infer && typeof infer.last_close === "number" ? infer.last_close : null);
-      if (typeof lastClose === "number" && !Number.isNaN(lastClose)) {
-        currentPriceValue.textContent = lastClose.toFixed(2);
-      } else {
-        currentPriceValue.textContent = "-";
-      }
-
-      // direction based on step+5 vs current
-      if (typeof lastClose === "number" && !Number.isNaN(lastClose) && typeof lastPred === "number" && !Number.isNaN(lastPred)) {
-        const dir = lastPred >= lastClose ? "UP" : "DOWN";
-        directionValue.textContent = dir;
-        directionValue.style.color = dir === "UP" ? "#22c55e" : "#ef4444";
-      } else {
-        directionValue.textContent = "-";
-        directionValue.style.color = "";
-      }
-
-      confidenceValue.textContent =
-        typeof da === "number" && !Number.isNaN(da) ? `${da.toFixed(2)}%` : "-";
-
-      detailsDiv.style.display = "block";
-
-      // Chart buffers
-      stockData.length = 0;
-      predictionData.length = 0;
-
-      const ohlc = toOHLCFromCloses(closes);
-      ohlc.forEach((d) => stockData.push(d));
-
-      // align prediction times:
-      // - last historical index is (N-1) (t)
-      // - add a BRIDGE point at t so the forecast line connects with the last actual close
-      // - predictions start at (t+1)
-      const baseT = Math.max(0, stockData.length - 1);
-      const lastActual = stockData.length ? Number(stockData[baseT].close) : null;
+      await runComparison(chart, combos);
+    } catch (e) {
+      if (isCancellation(e)) return;
+      console.error("Comparison error:", e);
+      showRunError(e);
+    } finally {
+      button.disabled = false;
+    }
+  });
 
-      if (typeof lastActual === "number" && !Number.isNaN(lastActual)) {
-        // bridge point at t
-        predictionData.push({ time: baseT, price: lastActual });
-      }
+  document.querySelectorAll("[data-export]").forEach((btn) => {
+    btn.addEventListener("click", () => exportCurrent(btn.dataset.export, chart));
+  });
+  updateExportButtons();
 
-      predPrices.forEach((p, i) => {
-        predictionData.push({ time: baseT + (i + 1), price: p });
-      });
+  document.getElementById("chartTypeSelect").addEventListener("change", () => {
+    chart.setMode(document.getElementById("chartTypeSelect").value);
+    chart.render();
+  });
 
-      chart.setMode(chartType);
-      chart.render();
+  // Price / returns view; the return type comes from /recent, so changing it re-runs
+  document.getElementById("seriesSelect").addEventListener("change", () => {
+    chart.setSeries(document.getElementById("seriesSelect").value);
+    chart.render();
+  });
+  document.getElementById("returnTypeSelect").addEventListener("change", rerunCurrent);
 
-      // Update X-axis labels based on actual data
-      renderXAxis(closes.length, predPrices.length);
+  const btnPredict = document.getElementById("btnPredict");
+  btnPredict.dataset.idleText = btnPredict.textContent;
+  btnPredict.addEventListener("click", () => runPrediction(chart));
 
-      // Table: last 20 + forecast 5
-      renderSeriesTable(dates, closes, forecastDates, predPrices);
-    } catch (error) {
-      console.error("Prediction error:", error);
-      alert(`Error: ${error.message}`);
-    } finally {
-      hideLoadingScreen();
-      button.disabled = false;
-      button.textContent = originalText;
-    }
+  document.querySelector("#loadingOverlay .loading-steps").addEventListener("click", (e) => {
+    const retry = e.target.closest(".loading-step-retry");
+    if (retry) retryPredictionStep(chart, Number(retry.dataset.step));
   });
-
-});
\ No newline at end of file
+  document.getElementById("btnLoadingClose").addEventListener("click", closePredictionOverlay);
+});
@@ -0,0 +1,157 @@
+// IDX trading calendar: weekends plus exchange holidays (hari libur bursa,
+// including cuti bersama days the exchange is closed).
+//
+// All dates are ISO "YYYY-MM-DD" strings in exchange-local time (WIB); the
+// helpers work on UTC midnights so no timezone shift can move a date.
+//
+// Holidays are listed per year. Update the list when IDX publishes its
+// calendar, or patch it at runtime with setIDXHolidays(year, dates). Years
+// without a list fall back to weekends only (see hasHolidayList()).
+
+const IDX_HOLIDAYS = {
+  2024: [
+    "2024-01-01", "2024-02-08", "2024-02-09", "2024-02-14", "2024-03-11",
+    "2024-03-12", "2024-03-29", "2024-04-08", "2024-04-09", "2024-04-10",
+    "2024-04-11", "2024-04-12", "2024-04-15", "2024-05-01", "2024-05-09",
+    "2024-05-10", "2024-05-23", "2024-05-24", "2024-06-17", "2024-06-18",
+    "2024-09-16", "2024-12-25", "2024-12-26", "2024-12-31",
+  ],
+  2025: [
+    "2025-01-01", "2025-01-27", "2025-01-28", "2025-01-29", "2025-03-28",
+    "2025-03-31", "2025-04-01", "2025-04-02", "2025-04-03", "2025-04-04",
+    "2025-04-07", "2025-04-18", "2025-05-01", "2025-05-12", "2025-05-13",
+    "2025-05-29", "2025-05-30", "2025-06-06", "2025-06-09", "2025-06-27",
+    "2025-08-18", "2025-09-05", "2025-12-25", "2025-12-26", "2025-12-31",
+  ],
+  // Provisional: based on the government holiday decree, check against the
+  // official IDX announcement.
+  2026: [
+    "2026-01-01", "2026-01-16", "2026-02-16", "2026-02-17", "2026-03-18",
+    "2026-03-19", "2026-03-20", "2026-03-23", "2026-03-24", "2026-04-03",
+    "2026-05-01", "2026-05-14", "2026-05-15", "2026-05-27", "2026-05-28",
+    "2026-06-01", "2026-06-16", "2026-08-17", "2026-08-25", "2026-12-24",
+    "2026-12-25", "2026-12-31",
+  ],
+};
+
+const idxHolidaySets = new Map(); // year -> Set of ISO dates
+
+function setIDXHolidays(year, dates) {
+  IDX_HOLIDAYS[year] = Array.isArray(dates) ? dates.slice() : [];
+  idxHolidaySets.delete(Number(year));
+}
+
+function hasHolidayList(year) {
+  return Array.isArray(IDX_HOLIDAYS[year]);
+}
+
+function holidaySet(year) {
+  if (!idxHolidaySets.has(year)) idxHolidaySets.set(year, new Set(IDX_HOLIDAYS[year] || []));
+  return idxHolidaySets.get(year);
+}
+
+const IDX_UTC_OFFSET_HOURS = 7; // WIB
+
+// Today's date on the exchange clock, whatever the browser's timezone.
+function todayIDX() {
+  return new Date(Date.now() + IDX_UTC_OFFSET_HOURS * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// End-of-day data for a session is expected once the closing auction and the
+// backend's daily job are done.
+const IDX_DATA_READY_HOUR = 16.5; // 16:30 WIB
+
+function idxDataReadyAt(dateStr) {
+  return Date.parse(`${dateStr}T00:00:00Z`) + (IDX_DATA_READY_HOUR - IDX_UTC_OFFSET_HOURS) * 3600 * 1000;
+}
+
+// First moment after `timeMs` (epoch ms) at which a new session's closes can
+// exist: today's data-ready time if today is a session still to close,
+// otherwise the next session's.
+function nextIDXDataRefresh(timeMs) {
+  const today = new Date(timeMs + IDX_UTC_OFFSET_HOURS * 3600 * 1000).toISOString().slice(0, 10);
+  if (isTradingDay(today) && timeMs < idxDataReadyAt(today)) return idxDataReadyAt(today);
+  return idxDataReadyAt(nextTradingDay(today));
+}
+
+function addDaysISO(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const utc = new Date(Date.UTC(y, m - 1, d));
+  utc.setUTCDate(utc.getUTCDate() + days);
+  return utc.toISOString().slice(0, 10);
+}
+
+function isWeekend(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+function isIDXHoliday(dateStr) {
+  return holidaySet(Number(dateStr.slice(0, 4))).has(dateStr);
+}
+
+function isTradingDay(dateStr) {
+  return !isWeekend(dateStr) && !isIDXHoliday(dateStr);
+}
+
+function nextTradingDay(dateStr) {
+  let d = addDaysISO(dateStr, 1);
+  while (!isTradingDay(d)) d = addDaysISO(d, 1);
+  return d;
+}
+
+// Next `count` sessions strictly after `dateStr` (forecast steps +1..+count).
+function nextTradingSessions(dateStr, count) {
+  const out = [];
+  let d = dateStr;
+  for (let i = 0; i < count; i++) {
+    d = nextTradingDay(d);
+    out.push(d);
+  }
+  return out;
+}
+
+// Trading days strictly between two dates.
+function tradingDaysBetween(fromDate, toDate) {
+  const out = [];
+  let d = addDaysISO(fromDate, 1);
+  while (d < toDate) {
+    if (isTradingDay(d)) out.push(d);
+    d = addDaysISO(d, 1);
+  }
+  return out;
+}
+
+// Sessions missing from an ascending list of dates (e.g. `dates` from /recent).
+// Returns [{ index, after, missing: [...] }] where `index` is the position of
+// the first date following the gap.
+function findTradingGaps(dates) {
+  const gaps = [];
+  if (!Array.isArray(dates)) return gaps;
+  for (let i = 1; i < dates.length; i++) {
+    const missing = tradingDaysBetween(dates[i - 1], dates[i]);
+    if (missing.length) gaps.push({ index: i, after: dates[i - 1], missing });
+  }
+  return gaps;
+}
+
+const SESSION_WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const SESSION_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function weekdayName(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return SESSION_WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// "20 Oct" style label for axes
+function formatShortDate(dateStr) {
+  const [, m, d] = dateStr.split("-").map(Number);
+  return `${d} ${SESSION_MONTHS[m - 1]}`;
+}
+
+// "Oct 2025" style label for month starts on long windows
+function formatMonthYear(dateStr) {
+  const [y, m] = dateStr.split("-").map(Number);
+  return `${SESSION_MONTHS[m - 1]} ${y}`;
+}